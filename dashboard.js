@@ -0,0 +1,339 @@
+// Run history dashboard
+// Charts are recomputed from the persisted runHistory / hvhRunHistory whenever they are saved
+
+const statsPanel = document.getElementById('stats-panel');
+const statsToggle = document.getElementById('statsToggle');
+const statsFilter = document.getElementById('statsFilter');
+const statsSummary = document.getElementById('statsSummary');
+const distanceChart = document.getElementById('distanceChart');
+const survivalChart = document.getElementById('survivalChart');
+const hexCountChart = document.getElementById('hexCountChart');
+const winRateChart = document.getElementById('winRateChart');
+
+const CHART_PADDING = { left: 42, right: 10, top: 10, bottom: 26 };
+const CHART_TEXT = '#aaa';
+const CHART_GRID = 'rgba(255, 255, 255, 0.08)';
+const CHART_ACCENT = '#6a6aff';
+const ESCAPED_COLOR = '#6bff6b';
+const ENCIRCLED_COLOR = '#ff6b6b';
+
+let dashboardRefreshScheduled = false;
+
+// Coalesces refreshes to one per frame; nothing is drawn while the panel is collapsed
+function scheduleDashboardRefresh() {
+    if (dashboardRefreshScheduled || statsPanel.classList.contains('collapsed')) return;
+    dashboardRefreshScheduled = true;
+    requestAnimationFrame(() => {
+        dashboardRefreshScheduled = false;
+        refreshDashboard();
+    });
+}
+
+function refreshDashboard() {
+    updateRunFilter();
+
+    // 'all', or 'lattice|percolation|algorithm|probability'
+    const filter = statsFilter.value === 'all' ? null : statsFilter.value.split('|');
+    const escapeRuns = runsOnLattice(runHistory, filter?.[0], filter?.[1]).filter(run =>
+        !run.interrupted && !run.inProgress &&
+        (!filter || (runAlgorithm(run) === filter[2] && runProbability(run) === parseFloat(filter[3]))));
+    const encircled = escapeRuns.filter(run => run.escaped === false);
+    const escaped = escapeRuns.length - encircled.length;
+
+    statsSummary.textContent = `${escapeRuns.length} escape runs (${escaped}E/${encircled.length}C) | ${hvhRunHistory.length} HvH runs`;
+
+    drawDistanceHistogram(encircled.map(run => run.distance));
+    drawSurvivalCurve(escapeRuns.map(run => run.distance));
+    drawHexCounts(escapeRuns);
+    drawWinRates(statsByLatticeAndProbability(getHvhStats, Object.keys(FRONTIER_STRATEGIES).map(strategy => [strategy]), hvhModelLabel));
+}
+
+// [value, label, stats] for every lattice, variant and probability in a history, via
+// getRunStats (variants are [percolation, algorithm]) or getHvhStats ([strategy])
+function statsByLatticeAndProbability(getStats, variants, label) {
+    const rows = [];
+    for (const type of Object.keys(LATTICES)) {
+        for (const variant of variants) {
+            for (const [p, stats] of getStats(type, ...variant).byProbability) {
+                rows.push([[type, ...variant, p].join('|'), `${label(type, ...variant)} p=${p}`, stats]);
+            }
+        }
+    }
+    return rows;
+}
+
+// Keep the lattice / percolation / algorithm / probability options in sync with what the history contains
+function updateRunFilter() {
+    const variants = PERCOLATION_TYPES.flatMap(percolation => ESCAPE_ALGORITHMS.map(algorithm => [percolation, algorithm]));
+    const rows = statsByLatticeAndProbability(getRunStats, variants, modelLabel);
+    const options = [['all', 'All runs'], ...rows.map(([value, label]) => [value, label])];
+    const current = [...statsFilter.options].map(option => option.value);
+    if (options.map(([value]) => value).join() === current.join()) return;
+
+    const selected = statsFilter.value;
+    statsFilter.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    statsFilter.value = options.some(([value]) => value === selected) ? selected : 'all';
+}
+
+// Chart helpers
+
+// Maps data to canvas pixels inside CHART_PADDING; log axes need positive domains
+function createChart(canvas, xDomain, yDomain, { xLog = false, yLog = false } = {}) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const left = CHART_PADDING.left;
+    const right = canvas.width - CHART_PADDING.right;
+    const top = CHART_PADDING.top;
+    const bottom = canvas.height - CHART_PADDING.bottom;
+
+    const scale = (domain, log, from, to) => {
+        const t = log ? Math.log10 : (v => v);
+        const lo = t(domain[0]);
+        const hi = t(domain[1]);
+        const span = hi - lo || 1;
+        return v => from + (t(v) - lo) / span * (to - from);
+    };
+
+    return {
+        ctx, canvas, left, right, top, bottom, xDomain, yDomain, xLog, yLog,
+        x: scale(xDomain, xLog, left, right),
+        y: scale(yDomain, yLog, bottom, top)
+    };
+}
+
+function niceTicks(domain, log) {
+    if (log) {
+        const ticks = [];
+        for (let e = Math.floor(Math.log10(domain[0])); e <= Math.ceil(Math.log10(domain[1])); e++) {
+            const v = Math.pow(10, e);
+            if (v >= domain[0] && v <= domain[1]) ticks.push(v);
+        }
+        return ticks;
+    }
+    const span = domain[1] - domain[0] || 1;
+    const step = Math.pow(10, Math.floor(Math.log10(span / 4)));
+    const niceStep = span / step > 20 ? step * 5 : span / step > 8 ? step * 2 : step;
+    const ticks = [];
+    for (let v = Math.ceil(domain[0] / niceStep) * niceStep; v <= domain[1] + 1e-9; v += niceStep) {
+        ticks.push(+v.toFixed(6));
+    }
+    return ticks;
+}
+
+function formatTick(v) {
+    if (v >= 10000) return v.toExponential(0).replace('+', '');
+    if (v < 0.01 && v > 0) return v.toExponential(0);
+    return String(+v.toFixed(2));
+}
+
+function drawAxes(chart, xLabel, yLabel) {
+    const { ctx, left, right, top, bottom } = chart;
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = CHART_TEXT;
+    ctx.strokeStyle = CHART_GRID;
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const v of niceTicks(chart.xDomain, chart.xLog)) {
+        const px = chart.x(v);
+        ctx.beginPath();
+        ctx.moveTo(px, top);
+        ctx.lineTo(px, bottom);
+        ctx.stroke();
+        ctx.fillText(formatTick(v), px, bottom + 3);
+    }
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const v of niceTicks(chart.yDomain, chart.yLog)) {
+        const py = chart.y(v);
+        ctx.beginPath();
+        ctx.moveTo(left, py);
+        ctx.lineTo(right, py);
+        ctx.stroke();
+        ctx.fillText(formatTick(v), left - 4, py);
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(xLabel, (left + right) / 2, chart.canvas.height);
+    ctx.save();
+    ctx.translate(10, (top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+}
+
+function drawEmpty(canvas, message) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px sans-serif';
+    ctx.fillStyle = CHART_TEXT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, canvas.width / 2, canvas.height / 2);
+}
+
+// Charts
+
+// Log-binned (powers of two) since encirclement distances are heavy-tailed. Bins go by
+// distance + 1, so runs encircled at distance 0 get the first one
+function drawDistanceHistogram(distances) {
+    if (distances.length === 0) {
+        drawEmpty(distanceChart, 'No encircled runs yet');
+        return;
+    }
+
+    // Maxima are reduced rather than spread into Math.max, which overflows on a long history
+    const maxDistance = distances.reduce((max, d) => Math.max(max, d), 0);
+    const counts = new Array(Math.floor(Math.log2(maxDistance + 1)) + 1).fill(0);
+    for (const d of distances) {
+        counts[Math.floor(Math.log2(d + 1))]++;
+    }
+
+    const chart = createChart(distanceChart, [1, Math.pow(2, counts.length)], [0, counts.reduce((max, c) => Math.max(max, c), 0)], { xLog: true });
+    drawAxes(chart, 'distance + 1', 'runs');
+
+    const { ctx } = chart;
+    ctx.fillStyle = ENCIRCLED_COLOR;
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i] === 0) continue;
+        const x0 = chart.x(Math.pow(2, i)) + 1;
+        const x1 = chart.x(Math.pow(2, i + 1)) - 1;
+        const y = chart.y(counts[i]);
+        ctx.fillRect(x0, y, x1 - x0, chart.bottom - y);
+    }
+}
+
+// Empirical P(distance >= d) on log-log axes. Runs ending at distance 0 count in n, so the
+// curve starts below 1 at d = 1 when there are any
+function drawSurvivalCurve(distances) {
+    const sorted = distances.slice().sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        drawEmpty(survivalChart, 'No completed runs yet');
+        return;
+    }
+
+    const n = sorted.length;
+    let first = 0;  // First run past distance 0
+    while (first < n && sorted[first] === 0) first++;
+    if (first === n) {
+        drawEmpty(survivalChart, 'Every run ended at distance 0');
+        return;
+    }
+
+    const chart = createChart(survivalChart, [1, Math.max(2, sorted[n - 1])], [1 / n, 1], { xLog: true, yLog: true });
+    drawAxes(chart, 'distance d', 'P(D ≥ d)');
+
+    const { ctx } = chart;
+    ctx.strokeStyle = CHART_ACCENT;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let level = (n - first) / n;
+    ctx.moveTo(chart.x(1), chart.y(level));
+    for (let i = first; i < n; i++) {
+        // Step down just past the last run at each distance; the final drop to zero is off the log axis
+        if (i + 1 < n && sorted[i + 1] === sorted[i]) continue;
+        ctx.lineTo(chart.x(sorted[i]), chart.y(level));
+        if (i + 1 < n) {
+            level = (n - i - 1) / n;
+            ctx.lineTo(chart.x(sorted[i]), chart.y(level));
+        }
+    }
+    ctx.stroke();
+}
+
+function drawHexCounts(runs) {
+    const points = runs.filter(run => run.distance > 0 && run.hexCount > 0);
+    if (points.length === 0) {
+        drawEmpty(hexCountChart, 'No completed runs yet');
+        return;
+    }
+
+    const maxDistance = points.reduce((max, run) => Math.max(max, run.distance), 2);
+    const maxCount = points.reduce((max, run) => Math.max(max, run.hexCount), 10);
+    const chart = createChart(hexCountChart, [1, maxDistance], [1, maxCount], { xLog: true, yLog: true });
+    drawAxes(chart, 'distance', 'hexes revealed');
+
+    const { ctx } = chart;
+    for (const run of points) {
+        ctx.fillStyle = run.escaped ? ESCAPED_COLOR : ENCIRCLED_COLOR;
+        ctx.fillRect(chart.x(run.distance) - 1.5, chart.y(run.hexCount) - 1.5, 3, 3);
+    }
+}
+
+// Wilson score interval for a binomial proportion (95% by default)
+function wilsonInterval(successes, n, z = 1.96) {
+    if (n === 0) return [0, 1];
+    const p = successes / n;
+    const denom = 1 + z * z / n;
+    const center = (p + z * z / (2 * n)) / denom;
+    const half = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / denom;
+    return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// White and black win rates per lattice, strategy and probability, with 95% Wilson intervals
+function drawWinRates(groups) {
+    const rows = groups.filter(([, , stats]) => stats.whiteWins + stats.blackWins + stats.unresolved > 0);
+    if (rows.length === 0) {
+        drawEmpty(winRateChart, 'No completed Hex vs Hex runs yet');
+        return;
+    }
+
+    const chart = createChart(winRateChart, [0, rows.length], [0, 1]);
+    drawAxes(chart, '', 'win rate');
+
+    const { ctx } = chart;
+    const slot = (chart.right - chart.left) / rows.length;
+    const barWidth = Math.min(18, slot / 3);
+
+    rows.forEach(([, label, stats], i) => {
+        const n = stats.whiteWins + stats.blackWins + stats.unresolved;
+        const center = chart.left + slot * (i + 0.5);
+        const bars = [
+            { wins: stats.whiteWins, color: '#ffffff', offset: -barWidth / 2 - 1 },
+            { wins: stats.blackWins, color: '#55556a', offset: barWidth / 2 + 1 }
+        ];
+
+        for (const bar of bars) {
+            const x = center + bar.offset;
+            const y = chart.y(bar.wins / n);
+            ctx.fillStyle = bar.color;
+            ctx.fillRect(x - barWidth / 2, y, barWidth, chart.bottom - y);
+
+            const [lo, hi] = wilsonInterval(bar.wins, n);
+            ctx.strokeStyle = CHART_ACCENT;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x, chart.y(lo));
+            ctx.lineTo(x, chart.y(hi));
+            ctx.moveTo(x - 3, chart.y(lo));
+            ctx.lineTo(x + 3, chart.y(lo));
+            ctx.moveTo(x - 3, chart.y(hi));
+            ctx.lineTo(x + 3, chart.y(hi));
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = CHART_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${label} (n=${n})`, center, chart.bottom + 3);
+    });
+}
+
+// Panel toggle
+statsToggle.addEventListener('click', () => {
+    const collapsed = statsPanel.classList.toggle('collapsed');
+    statsToggle.textContent = collapsed ? 'Show' : 'Hide';
+    if (!collapsed) refreshDashboard();
+});
+
+statsFilter.addEventListener('change', refreshDashboard);
@@ -1,5 +1,6 @@
 // Hexagonal grid with lazy coloring and encircling detection
 // WebGL instanced rendering for massive performance
+// The simulation itself runs in sim-worker.js (see sim.js)
 
 const canvas = document.getElementById('canvas');
 const startBtn = document.getElementById('startBtn');
@@ -7,13 +8,70 @@ const resetBtn = document.getElementById('resetBtn');
 const statusDiv = document.getElementById('status');
 const zoomSlider = document.getElementById('zoomSlider');
 const zoomValue = document.getElementById('zoomValue');
+const fitBtn = document.getElementById('fitBtn');
 const speedSlider = document.getElementById('speedSlider');
 const speedValue = document.getElementById('speedValue');
 const modeSelect = document.getElementById('modeSelect');
+const latticeSelect = document.getElementById('latticeSelect');
+const percolationSelect = document.getElementById('percolationSelect');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const strategySelect = document.getElementById('strategySelect');
+const comparatorInput = document.getElementById('comparatorInput');
+const seedInput = document.getElementById('seedInput');
+const probabilityInput = document.getElementById('probabilityInput');
+const distanceInput = document.getElementById('distanceInput');
+const batchInput = document.getElementById('batchInput');
+const batchBtn = document.getElementById('batchBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const stepBtn = document.getElementById('stepBtn');
+const stepLayerBtn = document.getElementById('stepLayerBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
+const saveBoardBtn = document.getElementById('saveBoardBtn');
+const loadBoardBtn = document.getElementById('loadBoardBtn');
+const loadBoardInput = document.getElementById('loadBoardInput');
+const replayBtn = document.getElementById('replayBtn');
+const compareBtn = document.getElementById('compareBtn');
+const replayBar = document.getElementById('replay-bar');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySlider = document.getElementById('replaySlider');
+const replayValue = document.getElementById('replayValue');
+const replayCloseBtn = document.getElementById('replayCloseBtn');
+const overlaySelect = document.getElementById('overlaySelect');
+const overlayLegend = document.getElementById('overlay-legend');
+const overlayGradient = document.getElementById('overlayGradient');
+const overlayLegendMin = document.getElementById('overlayLegendMin');
+const overlayLegendMax = document.getElementById('overlayLegendMax');
+const pocketPanel = document.getElementById('pocket-panel');
+const pocketTitle = document.getElementById('pocketTitle');
+const pocketToggle = document.getElementById('pocketToggle');
+const pocketList = document.getElementById('pocketList');
 
 // Game mode
 let gameMode = 'escape';  // 'escape' | 'hexvshex'
 
+// Lattice the board is built on (see LATTICES in sim.js)
+let latticeType = 'hex';
+let lattice = LATTICES.hex;
+
+// Site percolation colors hexes; bond percolation opens or closes the edges between them
+// (escape mode only; Hex vs Hex is a game of colored hexes)
+const PERCOLATION_TYPES = ['site', 'bond'];
+let percolationType = 'site';
+
+// Escape runs either BFS the start's cluster or walk its hull, which only reveals the
+// cluster's boundary (site percolation only; see checkHullEncirclement in sim.js)
+const ESCAPE_ALGORITHMS = ['bfs', 'hull'];
+const ALGORITHM_LABELS = { bfs: 'BFS', hull: 'hull' };
+let escapeAlgorithm = 'bfs';
+let comparableRun = null;  // {algorithm, escaped, hexCount} of the finished site run on the board, see compareRun
+
+// Order Hex vs Hex colors the boundary hexes in (see FRONTIER_STRATEGIES in sim.js); a custom
+// strategy's comparator is compiled in the worker from comparatorInput's source
+let frontierStrategy = 'outermost';
+
 // WebGL setup
 const gl = canvas.getContext('webgl2');
 if (!gl) {
@@ -26,43 +84,88 @@ const BASE_HEX_SIZE = 25;
 let zoomLevel = 1;
 let speedMultiplier = 1;
 
-// Neighbor offsets
-const NEIGHBOR_OFFSETS = [
-    [1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]
-];
+// Probability that a newly revealed hex is white
+const DEFAULT_PROBABILITY = 0.5;
+let occupationProbability = DEFAULT_PROBABILITY;
+
+// Distance from the start at which a run is over (see ESCAPE_DISTANCE in sim.js)
+let escapeDistance = ESCAPE_DISTANCE;
+
+// Seed of the current run (see seededRandom in sim.js)
+let currentSeed = null;
+
+// Seeds are unsigned 32-bit integers; any other text typed in is hashed into one
+function parseSeed(text) {
+    const value = text.trim();
+    if (/^\d+$/.test(value) && Number(value) <= 0xffffffff) return Number(value);
+    let h = 0;
+    for (let i = 0; i < value.length; i++) {
+        h = mix32(h ^ value.charCodeAt(i));
+    }
+    return h;
+}
 
-// Numeric key encoding
-const KEY_OFFSET = 50000;
-const KEY_MULTIPLIER = 100000;
+function resolveSeed() {
+    if (seedInput.value.trim() !== '') return parseSeed(seedInput.value);
+    return Math.floor(Math.random() * 4294967296);
+}
 
-function numKey(q, r) {
-    return (q + KEY_OFFSET) * KEY_MULTIPLIER + (r + KEY_OFFSET);
+function resolveProbability() {
+    const value = parseFloat(probabilityInput.value);
+    const probability = Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : DEFAULT_PROBABILITY;
+    probabilityInput.value = probability;
+    return probability;
 }
 
-function decodeKey(key) {
-    const q = Math.floor(key / KEY_MULTIPLIER) - KEY_OFFSET;
-    const r = (key % KEY_MULTIPLIER) - KEY_OFFSET;
-    return { q, r };
+function resolveEscapeDistance() {
+    const value = parseInt(distanceInput.value, 10);
+    const distance = Number.isFinite(value) ? Math.max(1, value) : ESCAPE_DISTANCE;
+    distanceInput.value = distance;
+    return distance;
 }
 
 // State
-let hexColors = new Map();      // numKey -> true (white) or false (black)
-let hexInstances = [];          // Array of {q, r, color} for GPU upload
-let instanceBufferDirty = true;
+let hexColors = createCellGrid(); // CELL_WHITE or CELL_BLACK per revealed hex (see sim.js)
+let hexInstances = createRevealLog();  // q, r, color, depth per hex in reveal order (see sim.js)
+let maxDepth = -1;              // Largest BFS depth on the board, -1 if none
+let boardBounds = null;         // {minX, maxX, minY, maxY} of the revealed cells' centers in cell widths, null if none
 let startHex = null;
 let isRunning = false;
+let isPaused = false;
 let panOffset = { x: 0, y: 0 };
 let isDragging = false;
 let lastMouse = { x: 0, y: 0 };
+let bondInstances = [];         // Array of {q, r, index, open, cells} in reveal order (bond percolation)
+let enclosingLoop = null;       // Flat q, r list of the hexes enclosing the losing cluster, in walk order
+let replayIndex = null;         // Number of hexInstances drawn while replaying, null = all
+
+// Overlay: revealed hexes colored by BFS depth from the start hex or by reveal order
+// instead of white/black, on a scale running from OVERLAY_COLORMAP's first stop to its last
+const OVERLAY_MODES = ['none', 'depth', 'order'];  // Index is the shaders' u_overlay
+const OVERLAY_COLORMAP = [
+    [0.267, 0.005, 0.329],
+    [0.230, 0.322, 0.546],
+    [0.128, 0.567, 0.551],
+    [0.369, 0.789, 0.383],
+    [0.993, 0.906, 0.144]
+];
+let overlayMode = 'none';
+
+// Pockets: unrevealed regions the finished run sealed off without touching white
+const POCKET_LIST_LIMIT = 200;  // Entries listed; the rest are only tinted
+let pockets = [];               // Array of {size, cells (flat q, r), minX, maxX, minY, maxY in cell widths}, largest first
+let pocketInstances = null;     // Instance buffer of every pocket's cells, see drawPockets
+let paintInstances = null;      // Instance buffer of the painted hexes (see paint.js), see drawPaint
+let selectedPocket = -1;        // Index into pockets, -1 for none
 
 // Run history - persistent (escape mode)
 const STORAGE_KEY = 'unprotected-hex-runs';
-let runHistory = [];  // Array of {escaped, distance, hexCount, timestamp, interrupted}
+let runHistory = [];  // Array of {escaped, distance, hexCount, seed, probability, lattice, percolation, algorithm, startQ, startR, timestamp, interrupted, pocketHistogram}
 let currentRunId = null;  // Track in-progress run
 
 // Hex vs Hex run history - persistent (separate from escape mode)
 const HVH_STORAGE_KEY = 'unprotected-hex-hvh-runs';
-let hvhRunHistory = [];  // Array of {winner, distance, hexCount, timestamp, interrupted}
+let hvhRunHistory = [];  // Array of {winner, distance, hexCount, seed, probability, lattice, strategy, comparator, startQ, startR, timestamp, interrupted}
 let hvhCurrentRunId = null;
 
 function loadRunHistory() {
@@ -85,12 +188,41 @@ function loadRunHistory() {
     }
 }
 
+// Batches save both histories every HISTORY_SAVE_INTERVAL ms rather than after every trial:
+// each save rewrites the whole history, so per-trial saves cost the square of the batch size
+const HISTORY_SAVE_INTERVAL = 2000;
+let historySavesDeferred = false;
+let runHistoryDirty = false;
+let hvhHistoryDirty = false;
+let lastHistorySave = 0;
+
+function setHistorySavesDeferred(deferred) {
+    historySavesDeferred = deferred;
+    flushHistorySaves();
+}
+
+// Writes whatever changed while saves were deferred
+function flushHistorySaves() {
+    const deferred = historySavesDeferred;
+    historySavesDeferred = false;
+    if (runHistoryDirty) saveRunHistory();
+    if (hvhHistoryDirty) saveHvhHistory();
+    historySavesDeferred = deferred;
+    lastHistorySave = performance.now();
+}
+
 function saveRunHistory() {
+    if (historySavesDeferred) {
+        runHistoryDirty = true;
+        return;
+    }
+    runHistoryDirty = false;
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(runHistory));
     } catch (e) {
         console.error('Failed to save run history:', e);
     }
+    scheduleDashboardRefresh();
 }
 
 function startRun() {
@@ -99,6 +231,13 @@ function startRun() {
         escaped: null,
         distance: 0,
         hexCount: 0,
+        seed: currentSeed,
+        probability: occupationProbability,
+        lattice: latticeType,
+        percolation: percolationType,
+        algorithm: escapeAlgorithm,
+        startQ: startHex.q,
+        startR: startHex.r,
         timestamp: Date.now(),
         interrupted: false,
         inProgress: true
@@ -106,17 +245,45 @@ function startRun() {
     saveRunHistory();
 }
 
-function endRun(escaped, distance) {
+function endRun(escaped, distance, hexCount) {
     if (currentRunId !== null && runHistory[currentRunId]) {
         runHistory[currentRunId].escaped = escaped;
         runHistory[currentRunId].distance = distance;
-        runHistory[currentRunId].hexCount = hexInstances.length;
+        runHistory[currentRunId].hexCount = hexCount;
         runHistory[currentRunId].inProgress = false;
         saveRunHistory();
         currentRunId = null;
     }
 }
 
+// Pocket counts by size, bin i holding sizes 2^i to 2^(i+1) - 1
+function pocketHistogram(pocketSizes) {
+    const bins = [];
+    for (const size of pocketSizes) {
+        const bin = 31 - Math.clz32(size);
+        while (bins.length <= bin) bins.push(0);
+        bins[bin]++;
+    }
+    return bins;
+}
+
+// Pockets are analyzed after the run is recorded, so they're added to its entry by index
+function recordPockets(runIndex, pocketSizes) {
+    if (runIndex !== null && runHistory[runIndex]) {
+        runHistory[runIndex].pocketHistogram = pocketHistogram(pocketSizes);
+        saveRunHistory();
+    }
+}
+
+// Drops the entry of a run that failed before it finished
+function discardRun() {
+    if (currentRunId !== null && runHistory[currentRunId]) {
+        runHistory.splice(currentRunId, 1);
+        saveRunHistory();
+    }
+    currentRunId = null;
+}
+
 function interruptRun(distanceSoFar) {
     if (currentRunId !== null && runHistory[currentRunId]) {
         runHistory[currentRunId].distance = distanceSoFar;
@@ -128,12 +295,54 @@ function interruptRun(distanceSoFar) {
     }
 }
 
-function getRunStats() {
-    const completed = runHistory.filter(r => !r.interrupted);
+// Runs on one lattice (and percolation type), or all of them when omitted
+function runsOnLattice(runs, type, percolation) {
+    return runs.filter(run => (!type || runLattice(run) === type) &&
+        (!percolation || runPercolation(run) === percolation));
+}
+
+// Lattice, percolation type and escape algorithm as shown in the status bar, e.g. "Hex",
+// "Sq4 bond" or "Tri hull"
+function modelLabel(type, percolation, algorithm = 'bfs') {
+    return LATTICES[type].shortLabel + (percolation === 'bond' ? ' bond' : '') + (algorithm === 'hull' ? ' hull' : '');
+}
+
+// Lattice and frontier strategy of a Hex vs Hex run, e.g. "Hex" or "Tri ccw"
+function hvhModelLabel(type, strategy) {
+    return LATTICES[type].shortLabel + (strategy === 'outermost' ? '' : ' ' + FRONTIER_STRATEGIES[strategy].shortLabel);
+}
+
+// The status bar's label for the current settings
+function currentModelLabel() {
+    return gameMode === 'hexvshex' ? hvhModelLabel(latticeType, frontierStrategy) : modelLabel(latticeType, percolationType, escapeAlgorithm);
+}
+
+// Map of probability -> summarize(runs at that probability), in ascending order
+function groupByProbability(runs, summarize) {
+    const groups = new Map();
+    for (const run of runs) {
+        const p = runProbability(run);
+        if (!groups.has(p)) groups.set(p, []);
+        groups.get(p).push(run);
+    }
+    const sorted = [...groups.keys()].sort((a, b) => a - b);
+    return new Map(sorted.map(p => [p, summarize(groups.get(p))]));
+}
+
+function summarizeRuns(runs) {
+    const completed = runs.filter(r => !r.interrupted);
     const escaped = completed.filter(r => r.escaped).length;
     const encircled = completed.filter(r => r.escaped === false).length;
-    const interrupted = runHistory.filter(r => r.interrupted).length;
-    return { total: runHistory.length, escaped, encircled, interrupted };
+    const interrupted = runs.filter(r => r.interrupted).length;
+    return { total: runs.length, escaped, encircled, interrupted };
+}
+
+// Runs with one algorithm too, or with either when omitted
+function getRunStats(lattice, percolation, algorithm) {
+    const runs = runsOnLattice(runHistory, lattice, percolation).filter(run => !algorithm || runAlgorithm(run) === algorithm);
+    const stats = summarizeRuns(runs);
+    stats.byProbability = groupByProbability(runs, summarizeRuns);
+    return stats;
 }
 
 // Hex vs Hex history functions
@@ -157,11 +366,17 @@ function loadHvhHistory() {
 }
 
 function saveHvhHistory() {
+    if (historySavesDeferred) {
+        hvhHistoryDirty = true;
+        return;
+    }
+    hvhHistoryDirty = false;
     try {
         localStorage.setItem(HVH_STORAGE_KEY, JSON.stringify(hvhRunHistory));
     } catch (e) {
         console.error('Failed to save hvh run history:', e);
     }
+    scheduleDashboardRefresh();
 }
 
 function startHvhRun() {
@@ -170,6 +385,13 @@ function startHvhRun() {
         winner: null,  // 'white', 'black', or 'unresolved'
         distance: 0,
         hexCount: 0,
+        seed: currentSeed,
+        probability: occupationProbability,
+        lattice: latticeType,
+        strategy: frontierStrategy,
+        comparator: frontierStrategy === 'custom' ? comparatorInput.value : undefined,  // Dropped when saved otherwise
+        startQ: startHex.q,
+        startR: startHex.r,
         timestamp: Date.now(),
         interrupted: false,
         inProgress: true
@@ -177,17 +399,26 @@ function startHvhRun() {
     saveHvhHistory();
 }
 
-function endHvhRun(winner, distance) {
+function endHvhRun(winner, distance, hexCount) {
     if (hvhCurrentRunId !== null && hvhRunHistory[hvhCurrentRunId]) {
         hvhRunHistory[hvhCurrentRunId].winner = winner;
         hvhRunHistory[hvhCurrentRunId].distance = distance;
-        hvhRunHistory[hvhCurrentRunId].hexCount = hexInstances.length;
+        hvhRunHistory[hvhCurrentRunId].hexCount = hexCount;
         hvhRunHistory[hvhCurrentRunId].inProgress = false;
         saveHvhHistory();
         hvhCurrentRunId = null;
     }
 }
 
+// Drops the entry of a run that failed before it finished
+function discardHvhRun() {
+    if (hvhCurrentRunId !== null && hvhRunHistory[hvhCurrentRunId]) {
+        hvhRunHistory.splice(hvhCurrentRunId, 1);
+        saveHvhHistory();
+    }
+    hvhCurrentRunId = null;
+}
+
 function interruptHvhRun(distanceSoFar) {
     if (hvhCurrentRunId !== null && hvhRunHistory[hvhCurrentRunId]) {
         hvhRunHistory[hvhCurrentRunId].distance = distanceSoFar;
@@ -199,30 +430,136 @@ function interruptHvhRun(distanceSoFar) {
     }
 }
 
-function getHvhStats() {
-    const completed = hvhRunHistory.filter(r => !r.interrupted);
+function summarizeHvhRuns(runs) {
+    const completed = runs.filter(r => !r.interrupted);
     const whiteWins = completed.filter(r => r.winner === 'white').length;
     const blackWins = completed.filter(r => r.winner === 'black').length;
     const unresolved = completed.filter(r => r.winner === 'unresolved').length;
-    const interrupted = hvhRunHistory.filter(r => r.interrupted).length;
-    return { total: hvhRunHistory.length, whiteWins, blackWins, unresolved, interrupted };
+    const interrupted = runs.filter(r => r.interrupted).length;
+    return { total: runs.length, whiteWins, blackWins, unresolved, interrupted };
+}
+
+// Runs on one lattice with one strategy, or all of them when omitted
+function getHvhStats(lattice, strategy) {
+    const runs = runsOnLattice(hvhRunHistory, lattice).filter(run => !strategy || runStrategy(run) === strategy);
+    const stats = summarizeHvhRuns(runs);
+    stats.byProbability = groupByProbability(runs, summarizeHvhRuns);
+    return stats;
+}
+
+// History export / import (see history.js)
+// Exports carry both histories; imports merge them, skipping runs already present
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function exportFilename(extension) {
+    return `unprotected-hex-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportHistoryJson() {
+    downloadFile(exportFilename('json'), formatHistoryJson(runHistory, hvhRunHistory), 'application/json');
+}
+
+function exportHistoryCsv() {
+    downloadFile(exportFilename('csv'), formatHistoryCsv(runHistory, hvhRunHistory), 'text/csv');
+}
+
+function importHistory(filename, text) {
+    const parsed = /\.csv$/i.test(filename) || !text.trimStart().startsWith('{')
+        ? parseCsvHistory(text)
+        : parseJsonHistory(text);
+
+    const runs = parsed.runs.map((run, i) => validateRun(run, false, `Escape run ${i + 1}`));
+    const hvhRuns = parsed.hvhRuns.map((run, i) => validateRun(run, true, `HvH run ${i + 1}`));
+
+    const added = mergeRuns(runHistory, runs, false);
+    const hvhAdded = mergeRuns(hvhRunHistory, hvhRuns, true);
+    saveRunHistory();
+    saveHvhHistory();
+
+    const skipped = runs.length + hvhRuns.length - added - hvhAdded;
+    return { added, hvhAdded, skipped };
 }
 
 // Track current distance for interruption
 let currentMaxDist = 0;
 
-// Handle page unload during run
-window.addEventListener('beforeunload', () => {
-    if (isRunning) {
-        if (gameMode === 'escape') {
-            interruptRun(currentMaxDist);
+// Cancellation
+// Every run (a single check or a whole batch) gets a token. Reset, mode switch and
+// unload cancel it; the run flow checks it after every await and bails out, and
+// the worker drops the run at its next checkpoint.
+let activeRun = null;  // { id, mode, batch, cancelled }
+let nextRunId = 1;
+
+function beginRun(batch = false) {
+    activeRun = { id: nextRunId++, mode: gameMode, batch, cancelled: false };
+    return activeRun;
+}
+
+function finishRun(run) {
+    if (activeRun === run) activeRun = null;
+}
+
+// Stops the active run and records its interruption (a no-op for an already finished entry).
+// Batch trials get no progress messages, so a trial cut short knows no distance and is dropped
+function cancelActiveRun() {
+    if (!activeRun) return;
+    const run = activeRun;
+    run.cancelled = true;
+    activeRun = null;
+    postToSimulation({ type: 'cancel', runId: run.id });
+
+    if (run.batch) {
+        if (run.mode === 'escape') {
+            discardRun();
         } else {
-            interruptHvhRun(currentMaxDist);
+            discardHvhRun();
         }
+    } else if (run.mode === 'escape') {
+        interruptRun(currentMaxDist);
+    } else {
+        interruptHvhRun(currentMaxDist);
     }
-});
+
+    // Release the run flow's pending awaits
+    for (const resolve of simulationWaiters.values()) {
+        resolve(null);
+    }
+    simulationWaiters.clear();
+}
+
+// Handle page unload during run
+window.addEventListener('beforeunload', cancelActiveRun);
 
 // Shaders
+// Cell color, shared by the cell and LOD shaders: white/black, or the overlay's value
+// on the color scale with black cells dimmed so the cluster's boundary still shows
+const cellColorSource = `
+uniform int u_overlay;        // Index into OVERLAY_MODES
+uniform float u_overlayMax;   // Value at the top of the scale
+
+vec3 overlayColor(float t) {
+    const vec3 stops[${OVERLAY_COLORMAP.length}] = vec3[](${OVERLAY_COLORMAP.map(c => `vec3(${c.join(', ')})`).join(', ')});
+    float x = clamp(t, 0.0, 1.0) * ${OVERLAY_COLORMAP.length - 1}.0;
+    int i = min(int(x), ${OVERLAY_COLORMAP.length - 2});
+    return mix(stops[i], stops[i + 1], x - float(i));
+}
+
+// value < 0 means the overlay has nothing for this cell
+vec3 cellColor(bool white, float value) {
+    vec3 base = white ? vec3(1.0, 1.0, 1.0) : vec3(0.2, 0.2, 0.25);
+    if (u_overlay == 0 || value < 0.0) return base;
+    vec3 color = overlayColor(value / max(u_overlayMax, 1.0));
+    return white ? color : color * 0.35;
+}
+`;
+
 const vertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -231,30 +568,85 @@ in vec2 a_vertex;
 
 // Per-instance
 in vec2 a_hexCoord;  // q, r
-in float a_color;    // 0 = black, 1 = white
+in float a_color;    // 0 = black, 1 = white, 2 + i = pocket i, -1/-2 = painted black/white
+in float a_depth;    // BFS depth from the start hex, -1 if none
+in float a_order;    // Reveal index
 
 uniform vec2 u_resolution;
 uniform vec2 u_pan;
-uniform float u_hexSize;
-uniform float u_hexWidth;
-uniform float u_hexHeight;
+uniform float u_cellWidth;
+uniform int u_lattice;  // 0 = hexagonal, 1 = square, 2 = triangular (LATTICES[...].shader)
+uniform float u_selectedPocket;  // Pocket drawn highlighted, -1 for none
 
 out vec3 v_color;
 
+const float SQRT3 = 1.7320508;
+${cellColorSource}
 void main() {
-    // Axial to pixel
-    float px = u_hexWidth * (a_hexCoord.x + a_hexCoord.y / 2.0);
-    float py = u_hexHeight * 0.75 * a_hexCoord.y;
+    // Cell coordinates to cell center, in cell widths (mirrors LATTICES[...].center)
+    vec2 center;
+    vec2 vertex = a_vertex;
+    if (u_lattice == 0) {
+        center = vec2(a_hexCoord.x + a_hexCoord.y / 2.0, a_hexCoord.y * SQRT3 / 2.0);
+    } else if (u_lattice == 1) {
+        center = a_hexCoord;
+    } else {
+        bool up = ((int(a_hexCoord.x) + int(a_hexCoord.y)) & 1) == 0;
+        center = vec2(a_hexCoord.x, a_hexCoord.y * SQRT3 + (up ? 2.0 : 1.0) * SQRT3 / 3.0);
+        if (!up) vertex.y = -vertex.y;
+    }
 
-    // Apply hex size to vertex, then translate
-    vec2 pos = a_vertex * u_hexSize + vec2(px, py) + u_pan + u_resolution / 2.0;
+    // Scale the cell outline and translate
+    vec2 pos = (vertex + center) * u_cellWidth + u_pan + u_resolution / 2.0;
 
     // Convert to clip space
     vec2 clipSpace = (pos / u_resolution) * 2.0 - 1.0;
     gl_Position = vec4(clipSpace.x, -clipSpace.y, 0.0, 1.0);
 
-    // Color
-    v_color = a_color > 0.5 ? vec3(1.0, 1.0, 1.0) : vec3(0.2, 0.2, 0.25);
+    // Color; pockets get muted hues spread by the golden ratio so neighbors differ
+    if (a_color < -0.5) {
+        v_color = a_color < -1.5 ? vec3(0.7, 0.7, 0.78) : vec3(0.28, 0.28, 0.36);
+    } else if (a_color > 1.5) {
+        float pocket = a_color - 2.0;
+        vec3 tint = 0.5 + 0.3 * cos(6.2831853 * (fract(pocket * 0.618034) + vec3(0.0, 0.33, 0.67)));
+        v_color = pocket == u_selectedPocket ? vec3(1.0, 0.75, 0.2) : tint * 0.7;
+    } else {
+        v_color = cellColor(a_color > 0.5, u_overlay == 1 ? a_depth : a_order);
+    }
+}
+`;
+
+// Bonds are instanced quads stretched along a segment: open bonds join the two
+// hex centers, closed ones cover the edge the hexes share
+const bondVertexShaderSource = `#version 300 es
+precision highp float;
+
+// Per-vertex: x runs along the segment (0..1), y across it (-1..1)
+in vec2 a_vertex;
+
+// Per-instance
+in vec4 a_segment;  // x1, y1, x2, y2 in cell widths
+in float a_open;    // 0 = closed, 1 = open
+
+uniform vec2 u_resolution;
+uniform vec2 u_pan;
+uniform float u_cellWidth;
+
+out vec3 v_color;
+
+void main() {
+    vec2 from = a_segment.xy * u_cellWidth;
+    vec2 along = a_segment.zw * u_cellWidth - from;
+    vec2 across = normalize(vec2(-along.y, along.x));
+
+    // Closed walls are drawn heavier so a ring of them around the cluster stands out
+    float halfWidth = max(0.5, u_cellWidth * (a_open > 0.5 ? 0.03 : 0.06));
+    vec2 pos = from + along * a_vertex.x + across * a_vertex.y * halfWidth + u_pan + u_resolution / 2.0;
+
+    vec2 clipSpace = (pos / u_resolution) * 2.0 - 1.0;
+    gl_Position = vec4(clipSpace.x, -clipSpace.y, 0.0, 1.0);
+
+    v_color = a_open > 0.5 ? vec3(0.42, 0.42, 1.0) : vec3(1.0, 0.42, 0.42);
 }
 `;
 
@@ -269,6 +661,56 @@ void main() {
 }
 `;
 
+// Low zoom: a whole render chunk as one quad, its cells read from a texture with a texel per cell
+const lodVertexShaderSource = `#version 300 es
+precision highp float;
+
+in vec2 a_vertex;  // Corner of the unit square
+
+uniform vec2 u_resolution;
+uniform vec2 u_pan;
+uniform float u_cellWidth;
+uniform vec2 u_chunkOrigin;  // q, r of the chunk's first cell
+uniform vec2 u_latticeOrigin;  // Center of cell (0, 0) in cell widths...
+uniform vec2 u_axisQ;          // ...and the steps to the next cell along q and r
+uniform vec2 u_axisR;
+
+out vec2 v_cell;  // Cell coordinates within the chunk
+
+void main() {
+    v_cell = a_vertex * ${CHUNK_SIZE}.0 - 0.5;
+    vec2 cell = u_chunkOrigin + v_cell;
+    vec2 center = u_latticeOrigin + cell.x * u_axisQ + cell.y * u_axisR;
+
+    vec2 pos = center * u_cellWidth + u_pan + u_resolution / 2.0;
+    vec2 clipSpace = (pos / u_resolution) * 2.0 - 1.0;
+    gl_Position = vec4(clipSpace.x, -clipSpace.y, 0.0, 1.0);
+}
+`;
+
+const lodFragmentShaderSource = `#version 300 es
+precision highp float;
+precision highp usampler2D;
+
+in vec2 v_cell;
+
+// Red: 0 = unrevealed, else (reveal index + 1) * 2, plus 1 if white; green: BFS depth + 1, 0 if none
+uniform usampler2D u_cells;
+uniform uint u_visible;      // Only cells with a smaller reveal index are drawn
+
+out vec4 fragColor;
+${cellColorSource}
+void main() {
+    ivec2 texel = clamp(ivec2(floor(v_cell + 0.5)), ivec2(0), ivec2(${CHUNK_SIZE - 1}));
+    uvec2 value = texelFetch(u_cells, texel, 0).rg;
+    if (value.r == 0u || (value.r >> 1u) > u_visible) discard;
+
+    float order = float((value.r >> 1u) - 1u);
+    float depth = float(value.g) - 1.0;
+    fragColor = vec4(cellColor((value.r & 1u) == 1u, u_overlay == 1 ? depth : order), 1.0);
+}
+`;
+
 // Compile shader
 function compileShader(gl, type, source) {
     const shader = gl.createShader(type);
@@ -305,171 +747,535 @@ const program = createProgram(gl, vertexShader, fragmentShader);
 const a_vertex = gl.getAttribLocation(program, 'a_vertex');
 const a_hexCoord = gl.getAttribLocation(program, 'a_hexCoord');
 const a_color = gl.getAttribLocation(program, 'a_color');
+const a_depth = gl.getAttribLocation(program, 'a_depth');
+const a_order = gl.getAttribLocation(program, 'a_order');
 const u_resolution = gl.getUniformLocation(program, 'u_resolution');
 const u_pan = gl.getUniformLocation(program, 'u_pan');
-const u_hexSize = gl.getUniformLocation(program, 'u_hexSize');
-const u_hexWidth = gl.getUniformLocation(program, 'u_hexWidth');
-const u_hexHeight = gl.getUniformLocation(program, 'u_hexHeight');
+const u_cellWidth = gl.getUniformLocation(program, 'u_cellWidth');
+const u_lattice = gl.getUniformLocation(program, 'u_lattice');
+const u_overlay = gl.getUniformLocation(program, 'u_overlay');
+const u_overlayMax = gl.getUniformLocation(program, 'u_overlayMax');
+const u_selectedPocket = gl.getUniformLocation(program, 'u_selectedPocket');
+
+// Cell geometry buffer, refilled by uploadCellGeometry when the lattice changes
+const cellVertexBuffer = gl.createBuffer();
 
-// Create hex geometry (6 triangles from center, pointy-top)
-const hexVertices = [0, 0]; // center
-for (let i = 0; i < 6; i++) {
-    const angle = Math.PI / 180 * (60 * i - 30);
-    hexVertices.push(Math.cos(angle), Math.sin(angle));
+// Index buffer
+const cellIndexBuffer = gl.createBuffer();
+let cellIndexCount = 0;
+
+// Bond program: a unit quad per bond, drawn as a triangle strip
+const bondVertexShader = compileShader(gl, gl.VERTEX_SHADER, bondVertexShaderSource);
+const bondProgram = createProgram(gl, bondVertexShader, fragmentShader);
+const a_bondVertex = gl.getAttribLocation(bondProgram, 'a_vertex');
+const a_segment = gl.getAttribLocation(bondProgram, 'a_segment');
+const a_open = gl.getAttribLocation(bondProgram, 'a_open');
+const u_bondResolution = gl.getUniformLocation(bondProgram, 'u_resolution');
+const u_bondPan = gl.getUniformLocation(bondProgram, 'u_pan');
+const u_bondCellWidth = gl.getUniformLocation(bondProgram, 'u_cellWidth');
+
+const bondVertexBuffer = gl.createBuffer();
+gl.bindBuffer(gl.ARRAY_BUFFER, bondVertexBuffer);
+gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, -1, 1, -1, 0, 1, 1, 1]), gl.STATIC_DRAW);
+
+// LOD program: one quad per chunk over its cell texture
+const lodVertexShader = compileShader(gl, gl.VERTEX_SHADER, lodVertexShaderSource);
+const lodFragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, lodFragmentShaderSource);
+const lodProgram = createProgram(gl, lodVertexShader, lodFragmentShader);
+const a_lodVertex = gl.getAttribLocation(lodProgram, 'a_vertex');
+const u_lodResolution = gl.getUniformLocation(lodProgram, 'u_resolution');
+const u_lodPan = gl.getUniformLocation(lodProgram, 'u_pan');
+const u_lodCellWidth = gl.getUniformLocation(lodProgram, 'u_cellWidth');
+const u_chunkOrigin = gl.getUniformLocation(lodProgram, 'u_chunkOrigin');
+const u_latticeOrigin = gl.getUniformLocation(lodProgram, 'u_latticeOrigin');
+const u_axisQ = gl.getUniformLocation(lodProgram, 'u_axisQ');
+const u_axisR = gl.getUniformLocation(lodProgram, 'u_axisR');
+const u_cells = gl.getUniformLocation(lodProgram, 'u_cells');
+const u_visible = gl.getUniformLocation(lodProgram, 'u_visible');
+const u_lodOverlay = gl.getUniformLocation(lodProgram, 'u_overlay');
+const u_lodOverlayMax = gl.getUniformLocation(lodProgram, 'u_overlayMax');
+
+const lodVao = gl.createVertexArray();
+gl.bindVertexArray(lodVao);
+gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+gl.enableVertexAttribArray(a_lodVertex);
+gl.vertexAttribPointer(a_lodVertex, 2, gl.FLOAT, false, 0, 0);
+gl.bindVertexArray(null);
+
+// Instance layouts: each sets up a VAO over the shared geometry and an instance buffer
+const CELL_INSTANCE_FLOATS = 5;  // q, r, color, depth, reveal index
+const BOND_INSTANCE_FLOATS = 5;  // x1, y1, x2, y2, open
+
+function bindCellAttributes(buffer) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, cellVertexBuffer);
+    gl.enableVertexAttribArray(a_vertex);
+    gl.vertexAttribPointer(a_vertex, 2, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, cellIndexBuffer);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(a_hexCoord);
+    gl.vertexAttribPointer(a_hexCoord, 2, gl.FLOAT, false, CELL_INSTANCE_FLOATS * 4, 0);
+    gl.vertexAttribDivisor(a_hexCoord, 1); // per instance
+    gl.enableVertexAttribArray(a_color);
+    gl.vertexAttribPointer(a_color, 1, gl.FLOAT, false, CELL_INSTANCE_FLOATS * 4, 8);
+    gl.vertexAttribDivisor(a_color, 1); // per instance
+    gl.enableVertexAttribArray(a_depth);
+    gl.vertexAttribPointer(a_depth, 1, gl.FLOAT, false, CELL_INSTANCE_FLOATS * 4, 12);
+    gl.vertexAttribDivisor(a_depth, 1);
+    gl.enableVertexAttribArray(a_order);
+    gl.vertexAttribPointer(a_order, 1, gl.FLOAT, false, CELL_INSTANCE_FLOATS * 4, 16);
+    gl.vertexAttribDivisor(a_order, 1);
 }
-// Triangle fan indices: center + 6 outer vertices + repeat first outer to close
-const hexIndices = [];
-for (let i = 0; i < 6; i++) {
-    hexIndices.push(0, i + 1, ((i + 1) % 6) + 1);
+
+function bindBondAttributes(buffer) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, bondVertexBuffer);
+    gl.enableVertexAttribArray(a_bondVertex);
+    gl.vertexAttribPointer(a_bondVertex, 2, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(a_segment);
+    gl.vertexAttribPointer(a_segment, 4, gl.FLOAT, false, BOND_INSTANCE_FLOATS * 4, 0);
+    gl.vertexAttribDivisor(a_segment, 1);
+    gl.enableVertexAttribArray(a_open);
+    gl.vertexAttribPointer(a_open, 1, gl.FLOAT, false, BOND_INSTANCE_FLOATS * 4, 16);
+    gl.vertexAttribDivisor(a_open, 1);
 }
 
-// Create VAO
-const vao = gl.createVertexArray();
-gl.bindVertexArray(vao);
+// Append-only instance buffer: new instances wait in pending and go up with one
+// bufferSubData; when the buffer is full its contents move GPU-side into one twice the size
+function createInstanceBuffer(floatsPerInstance, bindAttributes) {
+    const vao = gl.createVertexArray();
+    const bytesPerInstance = floatsPerInstance * 4;
+    let buffer = null;
+    let capacity = 0;
+    let uploaded = 0;
+    let pending = [];
+
+    return {
+        vao,
+        get count() {
+            return uploaded + pending.length / floatsPerInstance;
+        },
+        push(...values) {
+            pending.push(...values);
+        },
+        upload() {
+            if (pending.length === 0) return;
+            const count = this.count;
+            if (count > capacity) {
+                let grownCapacity = Math.max(64, capacity);
+                while (grownCapacity < count) grownCapacity *= 2;
+
+                const grown = gl.createBuffer();
+                gl.bindBuffer(gl.COPY_WRITE_BUFFER, grown);
+                gl.bufferData(gl.COPY_WRITE_BUFFER, grownCapacity * bytesPerInstance, gl.DYNAMIC_DRAW);
+                if (buffer) {
+                    gl.bindBuffer(gl.COPY_READ_BUFFER, buffer);
+                    gl.copyBufferSubData(gl.COPY_READ_BUFFER, gl.COPY_WRITE_BUFFER, 0, 0, uploaded * bytesPerInstance);
+                    gl.deleteBuffer(buffer);
+                }
+                buffer = grown;
+                capacity = grownCapacity;
 
-// Hex geometry buffer (static)
-const hexVertexBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, hexVertexBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(hexVertices), gl.STATIC_DRAW);
-gl.enableVertexAttribArray(a_vertex);
-gl.vertexAttribPointer(a_vertex, 2, gl.FLOAT, false, 0, 0);
+                gl.bindVertexArray(vao);
+                bindAttributes(buffer);
+                gl.bindVertexArray(null);
+            }
 
-// Index buffer
-const hexIndexBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, hexIndexBuffer);
-gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(hexIndices), gl.STATIC_DRAW);
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, uploaded * bytesPerInstance, new Float32Array(pending));
+            uploaded = count;
+            pending = [];
+        },
+        destroy() {
+            gl.deleteBuffer(buffer);
+            gl.deleteVertexArray(vao);
+        }
+    };
+}
+
+// Cell outline as a triangle fan around the center
+function uploadCellGeometry() {
+    const outline = lattice.outline;
+    const vertices = [0, 0];  // center
+    const indices = [];
+    for (let i = 0; i < outline.length; i++) {
+        vertices.push(outline[i][0], outline[i][1]);
+        indices.push(0, i + 1, ((i + 1) % outline.length) + 1);
+    }
 
-// Instance buffers (dynamic)
-const instanceCoordBuffer = gl.createBuffer();
-const instanceColorBuffer = gl.createBuffer();
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, cellVertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, cellIndexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    cellIndexCount = indices.length;
+}
 
-// Set up instanced attributes
-gl.bindBuffer(gl.ARRAY_BUFFER, instanceCoordBuffer);
-gl.enableVertexAttribArray(a_hexCoord);
-gl.vertexAttribPointer(a_hexCoord, 2, gl.FLOAT, false, 0, 0);
-gl.vertexAttribDivisor(a_hexCoord, 1); // per instance
+// Hex vs Hex only ends on the hexagonal lattice (see startSimulation in sim.js), so the
+// choice is locked there
+function setLattice(type) {
+    latticeType = gameMode === 'hexvshex' ? 'hex' : type;
+    lattice = LATTICES[latticeType];
+    latticeSelect.value = latticeType;
+    latticeSelect.disabled = gameMode === 'hexvshex';
+    uploadCellGeometry();
+}
 
-gl.bindBuffer(gl.ARRAY_BUFFER, instanceColorBuffer);
-gl.enableVertexAttribArray(a_color);
-gl.vertexAttribPointer(a_color, 1, gl.FLOAT, false, 0, 0);
-gl.vertexAttribDivisor(a_color, 1); // per instance
+// Hex vs Hex only plays on sites, so the choice is locked there
+function setPercolation(type) {
+    percolationType = gameMode === 'hexvshex' ? 'site' : type;
+    percolationSelect.value = percolationType;
+    percolationSelect.disabled = gameMode === 'hexvshex';
+    setEditMode(editMode && percolationType === 'site');  // Paint is colored hexes
+}
 
-gl.bindVertexArray(null);
+// Hull walks follow colored hexes, so bond percolation and Hex vs Hex lock the BFS
+function setAlgorithm(algorithm) {
+    const locked = gameMode === 'hexvshex' || percolationType === 'bond';
+    escapeAlgorithm = locked ? 'bfs' : algorithm;
+    algorithmSelect.value = escapeAlgorithm;
+    algorithmSelect.disabled = locked;
+}
+
+// ...while the frontier strategy only applies to Hex vs Hex
+function setStrategy(strategy) {
+    frontierStrategy = strategy;
+    strategySelect.value = strategy;
+    strategySelect.disabled = gameMode !== 'hexvshex';
+    comparatorInput.classList.toggle('hidden', gameMode !== 'hexvshex' || strategy !== 'custom');
+}
 
 // Coordinate helpers
 function getHexSize() {
     return BASE_HEX_SIZE * zoomLevel;
 }
 
+// Width of a hex in pixels; every lattice's geometry is expressed in this unit
 function getHexWidth() {
     return Math.sqrt(3) * getHexSize();
 }
 
-function getHexHeight() {
-    return 2 * getHexSize();
+// Cell under a pixel offset from the canvas center (after panning)
+function pixelToAxial(px, py) {
+    const width = getHexWidth();
+    return lattice.pick(px / width, py / width);
 }
 
-function pixelToAxial(px, py) {
-    const hexSize = getHexSize();
-    const q = (px * Math.sqrt(3) / 3 - py / 3) / hexSize;
-    const r = (py * 2 / 3) / hexSize;
-    return axialRound(q, r);
+// Pixel offset of a cell's center from the canvas center (before panning)
+function axialToPixel(q, r) {
+    const width = getHexWidth();
+    const center = lattice.center(q, r);
+    return { x: center.x * width, y: center.y * width };
 }
 
-function axialRound(q, r) {
-    const s = -q - r;
-    let rq = Math.round(q);
-    let rr = Math.round(r);
-    let rs = Math.round(s);
+// Corners of a cell in cell widths; down-pointing triangles mirror the outline as in the shader
+function cellCorners(q, r) {
+    const center = lattice.center(q, r);
+    const flip = lattice.shader === 2 && !isUpTriangle(q, r) ? -1 : 1;
+    return lattice.outline.map(([x, y]) => ({ x: center.x + x, y: center.y + flip * y }));
+}
 
-    const qDiff = Math.abs(rq - q);
-    const rDiff = Math.abs(rr - r);
-    const sDiff = Math.abs(rs - s);
+// Segment drawn for a bond, in cell widths
+function bondSegment(bond) {
+    const [dq, dr] = lattice.neighbors(bond.q, bond.r)[bond.index];
+    const a = lattice.center(bond.q, bond.r);
+    const b = lattice.center(bond.q + dq, bond.r + dr);
+    if (bond.open) return [a.x, a.y, b.x, b.y];
+
+    const other = cellCorners(bond.q + dq, bond.r + dr);
+    const shared = cellCorners(bond.q, bond.r).filter(p =>
+        other.some(o => Math.abs(o.x - p.x) < 1e-6 && Math.abs(o.y - p.y) < 1e-6));
+    if (shared.length >= 2) return [shared[0].x, shared[0].y, shared[1].x, shared[1].y];
+
+    // Diagonal neighbors only share a corner: a short bar across the bond
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const nx = -(b.y - a.y) / length * 0.15;
+    const ny = (b.x - a.x) / length * 0.15;
+    const mid = shared[0] ?? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    return [mid.x - nx, mid.y - ny, mid.x + nx, mid.y + ny];
+}
 
-    if (qDiff > rDiff && qDiff > sDiff) {
-        rq = -rr - rs;
-    } else if (rDiff > sDiff) {
-        rr = -rq - rs;
+// Render chunks
+// Revealed cells are grouped into the same 64x64 chunks as the board store (chunkKey in
+// sim.js). Each chunk appends to its own instance buffers, is skipped when it lies outside
+// the viewport, and below LOD_CELL_PIXELS is drawn as one quad over a texture of its cells.
+const LOD_CELL_PIXELS = 4;
+let renderChunks = new Map();  // chunkKey -> chunk
+
+function getRenderChunk(q, r) {
+    const key = chunkKey(q, r);
+    let chunk = renderChunks.get(key);
+    if (!chunk) {
+        chunk = createRenderChunk(q >> CHUNK_BITS, r >> CHUNK_BITS);
+        renderChunks.set(key, chunk);
     }
+    return chunk;
+}
 
-    return { q: rq, r: rr };
+function createRenderChunk(cq, cr) {
+    const q0 = cq * CHUNK_SIZE;
+    const r0 = cr * CHUNK_SIZE;
+
+    // Every lattice maps cells to centers affinely (up to a triangle's offset), so the corner
+    // cells span the chunk; the margin covers cell outlines and bonds reaching past them
+    const corners = [[q0, r0], [q0 + CHUNK_MASK, r0], [q0, r0 + CHUNK_MASK], [q0 + CHUNK_MASK, r0 + CHUNK_MASK]]
+        .map(([q, r]) => lattice.center(q, r));
+    const xs = corners.map(c => c.x);
+    const ys = corners.map(c => c.y);
+    const margin = 2;
+
+    return {
+        q0,
+        r0,
+        minX: Math.min(...xs) - margin,
+        maxX: Math.max(...xs) + margin,
+        minY: Math.min(...ys) - margin,
+        maxY: Math.max(...ys) + margin,
+        cells: createInstanceBuffer(CELL_INSTANCE_FLOATS, bindCellAttributes),
+        cellOrder: [],  // Reveal index of each instance, ascending
+        bonds: createInstanceBuffer(BOND_INSTANCE_FLOATS, bindBondAttributes),
+        bondOrder: [],  // Hexes revealed before each bond, ascending
+        texels: new Uint32Array(CHUNK_SIZE * CHUNK_SIZE * 2),  // Red/green pairs, see lodFragmentShaderSource
+        texture: null,
+        textureDirty: false
+    };
 }
 
-// Get or assign color to a hex
-function getHexColor(q, r) {
-    const key = numKey(q, r);
-    let color = hexColors.get(key);
-    if (color === undefined) {
-        color = Math.random() < 0.5;
-        hexColors.set(key, color);
-        hexInstances.push({ q, r, color: color ? 1 : 0 });
-        instanceBufferDirty = true;
+function clearRenderChunks() {
+    for (const chunk of renderChunks.values()) {
+        chunk.cells.destroy();
+        chunk.bonds.destroy();
+        if (chunk.texture) gl.deleteTexture(chunk.texture);
     }
-    return color;
+    renderChunks = new Map();
 }
 
-function setHexColor(q, r, isWhite) {
-    const key = numKey(q, r);
-    const isNew = !hexColors.has(key);
-    hexColors.set(key, isWhite);
+// depth: BFS depth from the start hex in an escape run, -1 otherwise
+function setHexColor(q, r, isWhite, depth = -1) {
+    const isNew = hexColors.get(q, r) === 0;
+    hexColors.set(q, r, isWhite ? CELL_WHITE : CELL_BLACK);
     if (isNew) {
-        hexInstances.push({ q, r, color: isWhite ? 1 : 0 });
-        instanceBufferDirty = true;
+        const index = hexInstances.length;
+        const color = isWhite ? 1 : 0;
+        hexInstances.push(q, r, color, depth);
+        maxDepth = Math.max(maxDepth, depth);
+        const center = lattice.center(q, r);
+        if (boardBounds) {
+            boardBounds.minX = Math.min(boardBounds.minX, center.x);
+            boardBounds.maxX = Math.max(boardBounds.maxX, center.x);
+            boardBounds.minY = Math.min(boardBounds.minY, center.y);
+            boardBounds.maxY = Math.max(boardBounds.maxY, center.y);
+        } else {
+            boardBounds = { minX: center.x, maxX: center.x, minY: center.y, maxY: center.y };
+        }
+
+        const chunk = getRenderChunk(q, r);
+        chunk.cells.push(q, r, color, depth, index);
+        chunk.cellOrder.push(index);
+        const texel = (((r & CHUNK_MASK) << CHUNK_BITS) | (q & CHUNK_MASK)) * 2;
+        chunk.texels[texel] = (index + 1) * 2 + color;
+        chunk.texels[texel + 1] = depth + 1;
+        chunk.textureDirty = true;
     }
 }
 
-// Upload instance data to GPU
-function uploadInstanceData() {
-    if (!instanceBufferDirty || hexInstances.length === 0) return;
+// cells: hexes revealed before the bond, which places it in the replay
+function addBond(q, r, index, open, cells) {
+    const bond = { q, r, index, open, cells };
+    bondInstances.push(bond);
+
+    const chunk = getRenderChunk(q, r);
+    chunk.bonds.push(...bondSegment(bond), open ? 1 : 0);
+    chunk.bondOrder.push(cells);
+}
 
-    const coords = new Float32Array(hexInstances.length * 2);
-    const colors = new Float32Array(hexInstances.length);
+// Number of entries of an ascending list below limit
+function countBelow(sorted, limit) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < limit) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
 
-    for (let i = 0; i < hexInstances.length; i++) {
-        coords[i * 2] = hexInstances[i].q;
-        coords[i * 2 + 1] = hexInstances[i].r;
-        colors[i] = hexInstances[i].color;
+// Chunks overlapping the canvas, for a cell width in pixels
+function visibleChunks(width) {
+    const minX = (-canvas.width / 2 - panOffset.x) / width;
+    const maxX = (canvas.width / 2 - panOffset.x) / width;
+    const minY = (-canvas.height / 2 - panOffset.y) / width;
+    const maxY = (canvas.height / 2 - panOffset.y) / width;
+
+    const visible = [];
+    for (const chunk of renderChunks.values()) {
+        if (chunk.maxX >= minX && chunk.minX <= maxX && chunk.maxY >= minY && chunk.minY <= maxY) {
+            visible.push(chunk);
+        }
     }
+    return visible;
+}
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, instanceCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, coords, gl.DYNAMIC_DRAW);
+function useCellProgram(width) {
+    gl.useProgram(program);
+    gl.uniform2f(u_resolution, canvas.width, canvas.height);
+    gl.uniform2f(u_pan, panOffset.x, panOffset.y);
+    gl.uniform1f(u_cellWidth, width);
+    gl.uniform1i(u_lattice, lattice.shader);
+    gl.uniform1i(u_overlay, OVERLAY_MODES.indexOf(overlayMode));
+    gl.uniform1f(u_overlayMax, overlayMax());
+    gl.uniform1f(u_selectedPocket, selectedPocket);
+}
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, instanceColorBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, colors, gl.DYNAMIC_DRAW);
+// Full detail: cell instances, then bonds on top of the cluster
+// A replay draws each chunk's instances revealed before replayIndex
+function drawChunkInstances(chunks, width) {
+    useCellProgram(width);
+
+    for (const chunk of chunks) {
+        chunk.cells.upload();
+        const count = replayIndex === null ? chunk.cellOrder.length : countBelow(chunk.cellOrder, replayIndex);
+        if (count === 0) continue;
+        gl.bindVertexArray(chunk.cells.vao);
+        gl.drawElementsInstanced(gl.TRIANGLES, cellIndexCount, gl.UNSIGNED_SHORT, 0, count);
+    }
 
-    instanceBufferDirty = false;
+    gl.useProgram(bondProgram);
+    gl.uniform2f(u_bondResolution, canvas.width, canvas.height);
+    gl.uniform2f(u_bondPan, panOffset.x, panOffset.y);
+    gl.uniform1f(u_bondCellWidth, width);
+
+    for (const chunk of chunks) {
+        chunk.bonds.upload();
+        const count = replayIndex === null ? chunk.bondOrder.length : countBelow(chunk.bondOrder, replayIndex + 1);
+        if (count === 0) continue;
+        gl.bindVertexArray(chunk.bonds.vao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+    }
 }
 
-// Render
-function render() {
-    gl.viewport(0, 0, canvas.width, canvas.height);
-    gl.clearColor(0.1, 0.1, 0.18, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
+// Low detail: one textured quad per chunk; bonds would be under a pixel and are left out
+function drawChunkTextures(chunks, width) {
+    const origin = lattice.center(0, 0);
+    const alongQ = lattice.center(2, 0);
+    const alongR = lattice.center(0, 2);
+
+    gl.useProgram(lodProgram);
+    gl.bindVertexArray(lodVao);
+    gl.uniform2f(u_lodResolution, canvas.width, canvas.height);
+    gl.uniform2f(u_lodPan, panOffset.x, panOffset.y);
+    gl.uniform1f(u_lodCellWidth, width);
+    gl.uniform2f(u_latticeOrigin, origin.x, origin.y);
+    gl.uniform2f(u_axisQ, (alongQ.x - origin.x) / 2, (alongQ.y - origin.y) / 2);
+    gl.uniform2f(u_axisR, (alongR.x - origin.x) / 2, (alongR.y - origin.y) / 2);
+    gl.uniform1ui(u_visible, replayIndex ?? 0xffffffff);
+    gl.uniform1i(u_lodOverlay, OVERLAY_MODES.indexOf(overlayMode));
+    gl.uniform1f(u_lodOverlayMax, overlayMax());
+    gl.uniform1i(u_cells, 0);
+    gl.activeTexture(gl.TEXTURE0);
+
+    for (const chunk of chunks) {
+        if (!chunk.texture) {
+            chunk.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, chunk.texture);
+            gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RG32UI, CHUNK_SIZE, CHUNK_SIZE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            chunk.textureDirty = true;
+        } else {
+            gl.bindTexture(gl.TEXTURE_2D, chunk.texture);
+        }
+        if (chunk.textureDirty) {
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, CHUNK_SIZE, CHUNK_SIZE, gl.RG_INTEGER, gl.UNSIGNED_INT, chunk.texels);
+            chunk.textureDirty = false;
+        }
+        gl.uniform2f(u_chunkOrigin, chunk.q0, chunk.r0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+}
 
-    if (hexInstances.length === 0) return;
+// Pockets are unrevealed, so they never overlap the board's cells and are drawn at any zoom
+// from one buffer; they describe the finished board and are left out of a replay
+function drawPockets(width) {
+    if (!pocketInstances || replayIndex !== null || pocketPanel.classList.contains('collapsed')) return;
+    useCellProgram(width);
+    pocketInstances.upload();
+    gl.bindVertexArray(pocketInstances.vao);
+    gl.drawElementsInstanced(gl.TRIANGLES, cellIndexCount, gl.UNSIGNED_SHORT, 0, pocketInstances.count);
+}
 
-    uploadInstanceData();
+// Painted hexes are drawn a shade off their color until a run reveals them, so they sit
+// under the board's cells
+function drawPaint(width) {
+    if (!paintInstances || paintInstances.count === 0) return;
+    useCellProgram(width);
+    paintInstances.upload();
+    gl.bindVertexArray(paintInstances.vao);
+    gl.drawElementsInstanced(gl.TRIANGLES, cellIndexCount, gl.UNSIGNED_SHORT, 0, paintInstances.count);
+}
 
-    gl.useProgram(program);
-    gl.bindVertexArray(vao);
+// Called by paint.js whenever the paint changes
+function paintChanged() {
+    if (paintInstances) paintInstances.destroy();
+    paintInstances = createInstanceBuffer(CELL_INSTANCE_FLOATS, bindCellAttributes);
+    painted.forEach((q, r, color) => paintInstances.push(q, r, color === CELL_WHITE ? -2 : -1, -1, -1));
+    render();
+}
 
-    // Set uniforms
-    gl.uniform2f(u_resolution, canvas.width, canvas.height);
-    gl.uniform2f(u_pan, panOffset.x, panOffset.y);
-    gl.uniform1f(u_hexSize, getHexSize());
-    gl.uniform1f(u_hexWidth, getHexWidth());
-    gl.uniform1f(u_hexHeight, getHexHeight());
+// Value at the top of the overlay's color scale
+function overlayMax() {
+    return overlayMode === 'depth' ? maxDepth : hexInstances.length - 1;
+}
 
-    // Draw all hexes in one call
-    gl.drawElementsInstanced(gl.TRIANGLES, 18, gl.UNSIGNED_SHORT, 0, hexInstances.length);
+function setOverlayMode(mode) {
+    overlayMode = mode;
+    overlaySelect.value = mode;
+    overlayLegend.classList.toggle('hidden', mode === 'none');
+    updateOverlayLegend();
+    render();
+}
 
-    // Draw start hex marker (simple 2D overlay)
-    if (startHex) {
-        drawStartMarker();
+function updateOverlayLegend() {
+    if (overlayMode === 'none') return;
+    if (overlayMode === 'depth') {
+        // Hex vs Hex boards have no BFS
+        overlayLegendMin.textContent = maxDepth < 0 ? 'No depths' : '0';
+        overlayLegendMax.textContent = maxDepth < 0 ? '' : `${maxDepth}`;
+    } else {
+        overlayLegendMin.textContent = '1';
+        overlayLegendMax.textContent = `${hexInstances.length}`;
+    }
+}
+
+// Render
+function render() {
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0.1, 0.1, 0.18, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    updateOverlayLegend();
+    drawMarkers();
+
+    const width = getHexWidth();
+    drawPaint(width);
+    if (hexInstances.length > 0) {
+        const chunks = visibleChunks(width);
+        if (width < LOD_CELL_PIXELS) {
+            drawChunkTextures(chunks, width);
+        } else {
+            drawChunkInstances(chunks, width);
+        }
+        drawPockets(width);
     }
+    drawMinimap();
+    updateInspector();
+    scheduleHashUpdate();
+    gl.bindVertexArray(null);
 }
 
-// Draw start hex marker using 2D canvas overlay
+// Start hex marker and enclosing loop, drawn on a 2D canvas overlay
 let ctx2d = null;
 let overlayCanvas = null;
 
@@ -484,613 +1290,857 @@ function initOverlay() {
     ctx2d = overlayCanvas.getContext('2d');
 }
 
-function drawStartMarker() {
+function drawMarkers() {
     if (!ctx2d) initOverlay();
 
     overlayCanvas.width = canvas.width;
     overlayCanvas.height = canvas.height;
     ctx2d.clearRect(0, 0, canvas.width, canvas.height);
 
-    const hexWidth = getHexWidth();
-    const hexHeight = getHexHeight();
-    const screenX = hexWidth * (startHex.q + startHex.r / 2) + canvas.width / 2 + panOffset.x;
-    const screenY = hexHeight * 0.75 * startHex.r + canvas.height / 2 + panOffset.y;
-
-    ctx2d.beginPath();
-    ctx2d.arc(screenX, screenY, getHexSize() * 0.3, 0, Math.PI * 2);
-    ctx2d.fillStyle = '#4488ff';
-    ctx2d.fill();
-}
-
-// BFS encirclement check
-async function checkEncirclement(startQ, startR) {
-    const ESCAPE_DISTANCE = 10000;
-    const BASE_MAX_DELAY = 50;
-    const BASE_MIN_DELAY = 1;
-
-    const visited = new Set();
-    const queueQ = [startQ];
-    const queueR = [startR];
-    const queueDist = [0];
-    let queueHead = 0;
-    visited.add(numKey(startQ, startR));
-
-    let maxDistReached = 0;
-    let stepCount = 0;
-    let lastRenderTime = performance.now();
-
-    while (queueHead < queueQ.length) {
-        const q = queueQ[queueHead];
-        const r = queueR[queueHead];
-        const dist = queueDist[queueHead++];
-        maxDistReached = Math.max(maxDistReached, dist);
-        currentMaxDist = maxDistReached;  // Track for interruption
-
-        const exposedCount = queueQ.length - queueHead + 1;
-        const isMaxSpeed = speedMultiplier === Infinity;
-        const baseDelay = Math.max(BASE_MIN_DELAY, BASE_MAX_DELAY / Math.sqrt(exposedCount));
-        const delay = isMaxSpeed ? 0 : baseDelay / speedMultiplier;
-
-        if (dist >= ESCAPE_DISTANCE) {
-            render();
-            return { escaped: true, distance: dist };
+    const toScreen = (q, r) => {
+        const center = axialToPixel(q, r);
+        return { x: center.x + canvas.width / 2 + panOffset.x, y: center.y + canvas.height / 2 + panOffset.y };
+    };
+
+    // The loop describes the finished board, so a replay leaves it out. It can skip cells
+    // that are not wall (see traceEnclosingLoop), so only cells that touch are joined
+    if (enclosingLoop && replayIndex === null) {
+        const count = enclosingLoop.length / 2;
+        const touch = (i, j) => {
+            const q = enclosingLoop[i * 2];
+            const r = enclosingLoop[i * 2 + 1];
+            return lattice.touching(q, r).some(([dq, dr]) => q + dq === enclosingLoop[j * 2] && r + dr === enclosingLoop[j * 2 + 1]);
+        };
+        ctx2d.beginPath();
+        for (let i = 0; i < count; i++) {
+            const point = toScreen(enclosingLoop[i * 2], enclosingLoop[i * 2 + 1]);
+            if (i > 0 && touch(i - 1, i)) ctx2d.lineTo(point.x, point.y);
+            else ctx2d.moveTo(point.x, point.y);
         }
-
-        for (let i = 0; i < 6; i++) {
-            const nq = q + NEIGHBOR_OFFSETS[i][0];
-            const nr = r + NEIGHBOR_OFFSETS[i][1];
-            const nk = numKey(nq, nr);
-
-            if (visited.has(nk)) continue;
-            visited.add(nk);
-
-            const isWhite = getHexColor(nq, nr);
-            stepCount++;
-
-            if (isWhite) {
-                queueQ.push(nq);
-                queueR.push(nr);
-                queueDist.push(dist + 1);
-            }
-
-            if (isMaxSpeed) {
-                if (stepCount % 1000 === 0) {
-                    const now = performance.now();
-                    if (now - lastRenderTime > 50) {
-                        statusDiv.textContent = `Distance: ${dist} | Frontier: ${exposedCount} | Visited: ${visited.size}`;
-                        render();
-                        lastRenderTime = now;
-                    }
-                    await sleep(0);
-                }
-            } else {
-                const batchSize = Math.max(1, Math.floor(exposedCount / 5 * speedMultiplier));
-                if (stepCount % batchSize === 0) {
-                    const now = performance.now();
-                    if (now - lastRenderTime > 16) {
-                        statusDiv.textContent = `Distance: ${dist} | Frontier: ${exposedCount} | Visited: ${visited.size}`;
-                        render();
-                        lastRenderTime = now;
-                    }
-                    if (delay > 0) {
-                        await sleep(delay);
-                    }
-                }
-            }
+        if (count > 2 && touch(count - 1, 0)) {
+            const point = toScreen(enclosingLoop[0], enclosingLoop[1]);
+            ctx2d.lineTo(point.x, point.y);
         }
+        ctx2d.strokeStyle = '#ff5555';
+        ctx2d.lineWidth = 2;
+        ctx2d.stroke();
     }
 
-    render();
-    return { escaped: false, distance: maxDistReached };
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    if (startHex) {
+        const point = toScreen(startHex.q, startHex.r);
+        ctx2d.beginPath();
+        ctx2d.arc(point.x, point.y, getHexSize() * 0.3, 0, Math.PI * 2);
+        ctx2d.fillStyle = '#4488ff';
+        ctx2d.fill();
+    }
 }
 
-// Hex vs Hex algorithm functions
+// Simulation worker
+// Newly colored hexes stream back in batches and are mirrored into hexColors/hexInstances
+let simulation = null;
+let simulationReady = false;
+let simulationInline = false;  // The engine runs on the page's thread, see useInlineSimulation
+let simulationQueue = [];
+const simulationWaiters = new Map();  // reply type -> resolve
 
-// Calculate hex distance from origin (in hex steps)
-function hexDist(q, r) {
-    return (Math.abs(q) + Math.abs(r) + Math.abs(-q - r)) / 2;
+function connectSimulation() {
+    try {
+        const worker = new Worker('sim-worker.js');
+        worker.onmessage = (e) => handleSimulationMessage(e.data);
+        worker.onerror = (e) => {
+            if (simulationReady) {
+                console.error('Simulation worker error:', e.message);
+                return;
+            }
+            e.preventDefault();
+            worker.terminate();
+            useInlineSimulation();
+        };
+        simulation = worker;
+    } catch (e) {
+        useInlineSimulation();
+    }
 }
 
-// Calculate clockwise angle from East (0 to 2π)
-function clockwiseAngle(q, r) {
-    const x = q + r / 2;
-    const y = r * Math.sqrt(3) / 2;
-    // atan2 gives counter-clockwise from East, we want clockwise
-    const ccw = Math.atan2(y, x);
-    return (2 * Math.PI - ccw + 2 * Math.PI) % (2 * Math.PI);
+// Pages opened from file:// can't start workers; run the same engine on the main thread
+function useInlineSimulation() {
+    console.warn('Simulation worker unavailable, running on the main thread');
+    simulationInline = true;
+    const engine = createSimulation((message) => handleSimulationMessage(message));
+    simulation = { postMessage: (message) => engine.handleMessage(message) };
+    markSimulationReady();
 }
 
-// Select next frontier hex: outermost, then clockwise-most
-function selectNextFrontierHex(frontier) {
-    let bestKey = null;
-    let bestDist = -1;
-    let bestAngle = -1;
-
-    for (const key of frontier) {
-        const { q, r } = decodeKey(key);
-        const dist = hexDist(q, r);
-        const angle = clockwiseAngle(q, r);
-
-        if (dist > bestDist || (dist === bestDist && angle > bestAngle)) {
-            bestKey = key;
-            bestDist = dist;
-            bestAngle = angle;
-        }
+function markSimulationReady() {
+    simulationReady = true;
+    for (const message of simulationQueue) {
+        simulation.postMessage(message);
     }
-
-    return bestKey;
+    simulationQueue = [];
 }
 
-// Check if a specific hex is trapped (can't reach distance D through untested hexes)
-// Returns true only if completely surrounded by opposite color
-function isHexTrapped(startQ, startR, maxDist) {
-    const startKey = numKey(startQ, startR);
-    const startColor = hexColors.get(startKey);
-    if (startColor === undefined) return false;
-
-    // Step 1: Find all connected same-color hexes
-    const sameColorRegion = new Set([startKey]);
-    const sameColorQueue = [startKey];
-    let head = 0;
-
-    while (head < sameColorQueue.length) {
-        const key = sameColorQueue[head++];
-        const { q, r } = decodeKey(key);
+function postToSimulation(message) {
+    if (simulationReady) {
+        simulation.postMessage(message);
+    } else {
+        simulationQueue.push(message);
+    }
+}
 
-        for (let i = 0; i < 6; i++) {
-            const nq = q + NEIGHBOR_OFFSETS[i][0];
-            const nr = r + NEIGHBOR_OFFSETS[i][1];
-            const nk = numKey(nq, nr);
+function requestSimulation(message, replyType) {
+    return new Promise(resolve => {
+        simulationWaiters.set(replyType, resolve);
+        postToSimulation(message);
+    });
+}
 
-            if (sameColorRegion.has(nk)) continue;
-            if (hexColors.get(nk) === startColor) {
-                sameColorRegion.add(nk);
-                sameColorQueue.push(nk);
-            }
-        }
-    }
+function handleSimulationMessage(message) {
+    // Anything still in flight from a cancelled run is dropped
+    if (message.runId !== undefined && (!activeRun || message.runId !== activeRun.id)) return;
 
-    // Step 2: Find all untested hexes adjacent to this region
-    const untestedFrontier = new Set();
-    for (const key of sameColorRegion) {
-        const { q, r } = decodeKey(key);
-        for (let i = 0; i < 6; i++) {
-            const nq = q + NEIGHBOR_OFFSETS[i][0];
-            const nr = r + NEIGHBOR_OFFSETS[i][1];
-            const nk = numKey(nq, nr);
-            if (!hexColors.has(nk)) {
-                untestedFrontier.add(nk);
+    switch (message.type) {
+        case 'ready':
+            markSimulationReady();
+            break;
+        case 'cells':
+            applyCells(message.cells, message.bonds);
+            if (message.progress) showProgress(message.progress);
+            scheduleRender();
+            break;
+        default: {
+            const resolve = simulationWaiters.get(message.type);
+            if (resolve) {
+                simulationWaiters.delete(message.type);
+                resolve(message);
             }
         }
     }
+}
 
-    // If no untested frontier, we're completely surrounded by opposite color
-    if (untestedFrontier.size === 0) {
-        return true;
+// cells is a flat q, r, color, BFS depth list; bonds a flat q, r, neighbor index, open, hexes-before list
+function applyCells(cells, bonds) {
+    for (let i = 0; i < cells.length; i += 4) {
+        setHexColor(cells[i], cells[i + 1], cells[i + 2] === 1, cells[i + 3]);
     }
-
-    // Step 3: Check if any untested frontier hex can reach distance D
-    // We do a limited BFS from each frontier hex through untested space
-    const MAX_UNTESTED_SEARCH = 10000;
-    const visited = new Set();
-    const queue = [];
-
-    for (const key of untestedFrontier) {
-        visited.add(key);
-        queue.push(key);
+    for (let i = 0; i < bonds.length; i += 5) {
+        addBond(bonds[i], bonds[i + 1], bonds[i + 2], bonds[i + 3] === 1, bonds[i + 4]);
     }
+}
 
-    head = 0;
-    while (head < queue.length && head < MAX_UNTESTED_SEARCH) {
-        const key = queue[head++];
-        const { q, r } = decodeKey(key);
-
-        // If this untested hex is at distance >= maxDist, we can escape
-        if (hexDist(q, r) >= maxDist) {
-            return false;
-        }
-
-        // Expand through untested hexes only
-        for (let i = 0; i < 6; i++) {
-            const nq = q + NEIGHBOR_OFFSETS[i][0];
-            const nr = r + NEIGHBOR_OFFSETS[i][1];
-            const nk = numKey(nq, nr);
-
-            if (visited.has(nk)) continue;
-
-            const neighborColor = hexColors.get(nk);
-            if (neighborColor === undefined) {
-                // Untested - continue search
-                visited.add(nk);
-                queue.push(nk);
-            }
-            // If it's opposite color, it blocks this path
-            // If it's same color, we already counted it in sameColorRegion
-        }
+function showProgress(progress) {
+    currentMaxDist = progress.distance;  // Track for interruption
+    if (gameMode === 'hexvshex') {
+        statusDiv.textContent = `Seed: ${currentSeed} | Distance: ${Math.round(progress.distance)} | Boundary: ${progress.boundary} | Hexes: ${progress.hexes}`;
+    } else {
+        const walked = progress.contour === undefined ? `Frontier: ${progress.frontier}` : `Contour: ${progress.contour}`;
+        statusDiv.textContent = `Seed: ${currentSeed} | Distance: ${progress.distance} | ${walked} | Visited: ${progress.visited}`;
     }
+}
 
-    // If we searched a lot without finding escape, assume we can escape
-    // (the untested space is vast, we just didn't search far enough)
-    if (head >= MAX_UNTESTED_SEARCH) {
-        return false;
+// Run the current mode from startHex; resolves with the worker's result, or null if cancelled.
+// Rejects with the worker's error when the run fails, i.e. a custom comparator that doesn't
+// compile or throws
+async function runSimulation(run, animate) {
+    // User code only runs in the worker, never on the page's thread
+    if (simulationInline && gameMode === 'hexvshex' && frontierStrategy === 'custom') {
+        throw new Error('Custom comparators need the simulation worker, which this page could not start');
     }
 
-    // If BFS exhausted without finding escape, we're truly trapped
-    return true;
+    const cells = hexInstances.cells();
+    const reply = await requestSimulation({
+        type: 'start',
+        runId: run.id,
+        mode: gameMode,
+        lattice: latticeType,
+        percolation: percolationType,
+        seed: currentSeed,
+        probability: occupationProbability,
+        escapeDistance,
+        algorithm: escapeAlgorithm,
+        strategy: frontierStrategy,
+        comparator: comparatorInput.value,
+        painted: percolationType === 'site' ? paintedCells() : [],
+        startQ: startHex.q,
+        startR: startHex.r,
+        speed: speedMultiplier,
+        animate,
+        cells
+    }, 'result');
+    if (reply && reply.error) throw new Error(reply.error);
+    return reply && reply.result;
 }
 
-// Get what colors an untested hex touches
-function getTouchedColors(q, r) {
-    let touchesWhite = false;
-    let touchesBlack = false;
+let renderScheduled = false;
 
-    for (let i = 0; i < 6; i++) {
-        const nq = q + NEIGHBOR_OFFSETS[i][0];
-        const nr = r + NEIGHBOR_OFFSETS[i][1];
-        const nk = numKey(nq, nr);
-        const color = hexColors.get(nk);
-        if (color === true) touchesWhite = true;
-        if (color === false) touchesBlack = true;
-    }
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+        renderScheduled = false;
+        render();
+    });
+}
 
-    return { touchesWhite, touchesBlack };
+// Event handlers
+// The cell under a mouse event
+function eventHex(e) {
+    const rect = canvas.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left - canvas.width / 2 - panOffset.x;
+    const mouseY = e.clientY - rect.top - canvas.height / 2 - panOffset.y;
+    return pixelToAxial(mouseX, mouseY);
 }
 
-// Get combined frontier (untested hexes adjacent to either color)
-// Returns { boundary, whiteFrontier, blackFrontier }
-function getFrontiers() {
-    const boundary = new Set();      // Touches both colors
-    const whiteFrontier = new Set(); // Touches only white
-    const blackFrontier = new Set(); // Touches only black
-    const seen = new Set();
+function handleClick(e) {
+    if (isDragging || isRunning || editMode) return;
 
-    for (const [key] of hexColors) {
-        const { q, r } = decodeKey(key);
-        for (let i = 0; i < 6; i++) {
-            const nq = q + NEIGHBOR_OFFSETS[i][0];
-            const nr = r + NEIGHBOR_OFFSETS[i][1];
-            const nk = numKey(nq, nr);
+    if (!startHex) chooseStartHex(eventHex(e));
+}
+
+// Places the start hex on an empty board and readies the start button
+function chooseStartHex(hex) {
+    placeStartHex(hex);
+    startBtn.textContent = startButtonLabel();
+    render();
+    startBtn.disabled = false;
+}
 
-            if (hexColors.has(nk) || seen.has(nk)) continue;
-            seen.add(nk);
+function startButtonLabel() {
+    return gameMode === 'hexvshex' ? 'Start Battle' : 'Check Encirclement';
+}
 
-            const { touchesWhite, touchesBlack } = getTouchedColors(nq, nr);
+function placeStartHex(hex) {
+    startHex = hex;
+    setHexColor(hex.q, hex.r, true, gameMode === 'hexvshex' ? -1 : 0);  // White hex at click location
 
-            if (touchesWhite && touchesBlack) {
-                boundary.add(nk);
-            } else if (touchesWhite) {
-                whiteFrontier.add(nk);
-            } else if (touchesBlack) {
-                blackFrontier.add(nk);
-            }
+    if (gameMode === 'hexvshex') {
+        // Place black hex to the right
+        setHexColor(hex.q + 1, hex.r, false);
+    }
+}
+
+async function startCheck() {
+    if (!startHex || isRunning) return;
+    exitReplay();
+    // A check starts from the start hexes alone; a batch leaves its last trial on the board
+    const start = startHex;
+    clearBoard();
+    placeStartHex(start);
+    const run = beginRun();
+    isRunning = true;
+    currentMaxDist = 0;
+    currentSeed = resolveSeed();
+    occupationProbability = resolveProbability();
+    escapeDistance = resolveEscapeDistance();
+    startBtn.disabled = true;
+    seedInput.disabled = true;
+    comparatorInput.disabled = true;
+    probabilityInput.disabled = true;
+    distanceInput.disabled = true;
+    batchBtn.disabled = true;
+    replayBtn.disabled = true;
+    setPauseControlsEnabled(true);
+    updateEditButtons();
+    updateCompareButton();
+    statusDiv.className = '';
+
+    try {
+        if (gameMode === 'hexvshex') {
+            await startHvhCheck(run);
+        } else {
+            await startEscapeCheck(run);
+        }
+    } catch (e) {
+        // The run never finished, so it isn't kept in the history
+        if (gameMode === 'hexvshex') {
+            discardHvhRun();
+        } else {
+            discardRun();
         }
+        statusDiv.textContent = `Run failed: ${e.message}`;
+        statusDiv.className = 'encircled';
     }
 
-    return { boundary, whiteFrontier, blackFrontier };
+    // After a cancel, reset() has already restored the controls
+    if (run.cancelled) return;
+    finishRun(run);
+    isRunning = false;
+    setPauseControlsEnabled(false);
+    updateEditButtons();
+    updateCompareButton();
+    batchBtn.disabled = false;
+    replayBtn.disabled = false;
 }
 
-// Main hex vs hex check loop
-async function hexVsHexCheck() {
-    const ESCAPE_DISTANCE = 10000;
-    const BASE_MAX_DELAY = 50;
-    const BASE_MIN_DELAY = 1;
+// Pause, resume and single-step a running check
+function setPauseControlsEnabled(enabled) {
+    isPaused = false;
+    pauseBtn.textContent = 'Pause';
+    pauseBtn.disabled = !enabled;
+    stepBtn.disabled = !enabled;
+    stepLayerBtn.disabled = !enabled;
+}
 
-    // Track the original starting positions
-    const whiteStartQ = startHex.q;
-    const whiteStartR = startHex.r;
-    const blackStartQ = startHex.q + 1;
-    const blackStartR = startHex.r;
+function togglePause() {
+    if (pauseBtn.disabled) return;
+    isPaused = !isPaused;
+    pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+    postToSimulation({ type: isPaused ? 'pause' : 'resume' });
+}
 
-    let stepCount = 0;
-    let maxDistReached = 0;
-    let lastRenderTime = performance.now();
+// unit: 'hex' or 'layer'; a step from a running check stops at the next boundary
+function stepCheck(unit) {
+    if (stepBtn.disabled) return;
+    isPaused = true;
+    pauseBtn.textContent = 'Resume';
+    postToSimulation({ type: 'step', unit });
+}
 
-    while (true) {
-        const { boundary } = getFrontiers();
+async function startEscapeCheck(run) {
+    startRun();  // Begin tracking
 
-        // Only test boundary hexes - hexes that touch both colors
-        // When boundary is empty, the colors have separated and outcome is determined
-        if (boundary.size === 0) {
-            break;
-        }
+    const result = await runSimulation(run, true);
+    if (run.cancelled) return;
+    enclosingLoop = result.loop || null;
+    render();
 
-        const nextKey = selectNextFrontierHex(boundary);
-        if (nextKey === null) {
-            break;
-        }
+    const runIndex = currentRunId;
+    endRun(result.escaped, result.distance, result.hexCount);  // Finish tracking
 
-        const { q, r } = decodeKey(nextKey);
+    statusDiv.textContent = 'Analyzing pockets...';
+    const reply = await requestSimulation({ type: 'pockets', runId: run.id }, 'pockets');
+    if (run.cancelled) return;
+    const { pocketSizes } = reply;
+    recordPockets(runIndex, pocketSizes);
+    setPockets(pocketSizes, reply.pocketCells);
+    const numPockets = pocketSizes.length;
+    const maxPocketSize = pocketSizes.reduce((max, s) => Math.max(max, s), 0);
+    const totalPocketArea = pocketSizes.reduce((sum, s) => sum + s, 0);
 
-        // Color it randomly
-        const isWhite = Math.random() < 0.5;
-        hexColors.set(nextKey, isWhite);
-        hexInstances.push({ q, r, color: isWhite ? 1 : 0 });
-        instanceBufferDirty = true;
+    if (percolationType === 'site') {
+        comparableRun = { algorithm: escapeAlgorithm, escaped: result.escaped, hexCount: result.hexCount };
+    }
 
-        const dist = hexDist(q, r);
-        maxDistReached = Math.max(maxDistReached, dist);
-        currentMaxDist = maxDistReached;
-        stepCount++;
+    const stats = getRunStats(latticeType, percolationType, escapeAlgorithm).byProbability.get(occupationProbability);
 
-        // Check distance limit
-        if (maxDistReached >= ESCAPE_DISTANCE) {
-            render();
-            return { winner: 'unresolved', distance: maxDistReached };
-        }
+    const pocketInfo = numPockets > 0
+        ? ` | Pockets: ${numPockets} (max: ${maxPocketSize}, total: ${totalPocketArea})`
+        : '';
 
-        // Check win conditions after every hex - check if ORIGINAL hexes are trapped
-        const whiteTrapped = isHexTrapped(whiteStartQ, whiteStartR, ESCAPE_DISTANCE);
-        const blackTrapped = isHexTrapped(blackStartQ, blackStartR, ESCAPE_DISTANCE);
+    const loopInfo = enclosingLoop ? ` | Loop: ${enclosingLoop.length / 2} hexes` : '';
 
-        if (whiteTrapped && !blackTrapped) {
-            render();
-            return { winner: 'black', distance: maxDistReached };
-        }
-        if (blackTrapped && !whiteTrapped) {
-            render();
-            return { winner: 'white', distance: maxDistReached };
-        }
-        if (whiteTrapped && blackTrapped) {
-            render();
-            return { winner: 'unresolved', distance: maxDistReached };
-        }
+    const historyInfo = ` | Seed: ${currentSeed} | ${modelLabel(latticeType, percolationType, escapeAlgorithm)} p=${occupationProbability} #${stats.total} [${stats.escaped}E/${stats.encircled}C${stats.interrupted ? '/' + stats.interrupted + 'I' : ''}]`;
 
-        // Rendering and delays
-        const isMaxSpeed = speedMultiplier === Infinity;
-        const baseDelay = Math.max(BASE_MIN_DELAY, BASE_MAX_DELAY / Math.sqrt(boundary.size + 1));
-        const delay = isMaxSpeed ? 0 : baseDelay / speedMultiplier;
-
-        if (isMaxSpeed) {
-            if (stepCount % 1000 === 0) {
-                const now = performance.now();
-                if (now - lastRenderTime > 50) {
-                    statusDiv.textContent = `Distance: ${Math.round(maxDistReached)} | Boundary: ${boundary.size} | Hexes: ${hexInstances.length}`;
-                    render();
-                    lastRenderTime = now;
-                }
-                await sleep(0);
-            }
-        } else {
-            const batchSize = Math.max(1, Math.floor((boundary.size + 1) / 5 * speedMultiplier));
-            if (stepCount % batchSize === 0) {
-                const now = performance.now();
-                if (now - lastRenderTime > 16) {
-                    statusDiv.textContent = `Distance: ${Math.round(maxDistReached)} | Boundary: ${boundary.size} | Hexes: ${hexInstances.length}`;
-                    render();
-                    lastRenderTime = now;
-                }
-                if (delay > 0) {
-                    await sleep(delay);
-                }
-            }
-        }
+    if (result.escaped) {
+        statusDiv.textContent = `ESCAPED @ ${result.distance}${pocketInfo}${historyInfo}`;
+        statusDiv.className = 'escaped';
+    } else {
+        statusDiv.textContent = `ENCIRCLED @ ${result.distance}${pocketInfo}${loopInfo}${historyInfo}`;
+        statusDiv.className = 'encircled';
     }
-
-    // Frontier exhausted - check final state
-    render();
-    const whiteTrapped = isHexTrapped(whiteStartQ, whiteStartR, ESCAPE_DISTANCE);
-    const blackTrapped = isHexTrapped(blackStartQ, blackStartR, ESCAPE_DISTANCE);
-
-    if (whiteTrapped && !blackTrapped) return { winner: 'black', distance: maxDistReached };
-    if (blackTrapped && !whiteTrapped) return { winner: 'white', distance: maxDistReached };
-    return { winner: 'unresolved', distance: maxDistReached };
 }
 
-// Find encircled pockets
-function findEncircledPockets() {
-    const pocketSizes = [];
-    const checkedUntested = new Set();
-    const candidates = [];
-    const candidateSet = new Set();
-
-    for (const [key, isWhite] of hexColors) {
-        if (isWhite) continue;
-        const { q, r } = decodeKey(key);
+// Runs the finished check's seed through the other algorithm, for the hexes each one reveals.
+// It costs a second run, so it only happens on request. A failed comparison leaves the
+// finished run's summary with the error after it
+async function compareRun() {
+    if (isRunning || !comparableRun) return;
+    const finished = comparableRun;
+    const summary = statusDiv.textContent;
+    const run = beginRun();
+    isRunning = true;
+    batchBtn.disabled = true;
+    replayBtn.disabled = true;
+    updateEditButtons();
+    updateCompareButton();
+    statusDiv.textContent = 'Comparing algorithms...';
+
+    const comparison = await requestSimulation({ type: 'compare', runId: run.id }, 'comparison');
+    if (run.cancelled) return;
+    finishRun(run);
+    isRunning = false;
+    batchBtn.disabled = false;
+    replayBtn.disabled = false;
+    updateEditButtons();
+    updateCompareButton();
+
+    if (comparison.error) {
+        statusDiv.textContent = `${summary} | Comparison failed: ${comparison.error}`;
+        return;
+    }
+    const revealed = { [finished.algorithm]: finished.hexCount, [comparison.algorithm]: comparison.hexCount };
+    let compareInfo = ` | Revealed: ${ESCAPE_ALGORITHMS.map(algorithm => `${ALGORITHM_LABELS[algorithm]} ${revealed[algorithm]}`).join(' / ')}`;
+    // Only a cluster winding escapeDistance steps within a smaller radius (see checkHullEncirclement)
+    if (comparison.escaped !== finished.escaped) {
+        compareInfo += ` (${ALGORITHM_LABELS[comparison.algorithm]} ${comparison.escaped ? 'escaped' : 'encircled'})`;
+    }
+    statusDiv.textContent = summary + compareInfo;
+}
 
-        for (let i = 0; i < 6; i++) {
-            const nq = q + NEIGHBOR_OFFSETS[i][0];
-            const nr = r + NEIGHBOR_OFFSETS[i][1];
-            const nk = numKey(nq, nr);
+function updateCompareButton() {
+    compareBtn.disabled = isRunning || !comparableRun;
+}
 
-            if (!hexColors.has(nk) && !candidateSet.has(nk)) {
-                candidateSet.add(nk);
-                candidates.push(nk);
-            }
-        }
-    }
+async function startHvhCheck(run) {
+    startHvhRun();  // Begin tracking
 
-    for (const startNk of candidates) {
-        if (checkedUntested.has(startNk)) continue;
+    const result = await runSimulation(run, true);
+    if (run.cancelled) return;
+    enclosingLoop = result.loop || null;
+    render();
 
-        const { q: startQ, r: startR } = decodeKey(startNk);
-        const queueQ = [startQ];
-        const queueR = [startR];
-        let queueHead = 0;
-        let pocketSize = 0;
+    endHvhRun(result.winner, result.distance, result.hexCount);  // Finish tracking
 
-        const visited = new Set([startNk]);
-        let touchesWhite = false;
-        const MAX_POCKET_SIZE = 10000;
+    const stats = getHvhStats(latticeType, frontierStrategy).byProbability.get(occupationProbability);
+    const loopInfo = enclosingLoop ? ` | Loop: ${enclosingLoop.length / 2} hexes` : '';
+    const historyInfo = ` | Seed: ${currentSeed} | ${hvhModelLabel(latticeType, frontierStrategy)} p=${occupationProbability} #${stats.total} [${stats.whiteWins}W/${stats.blackWins}B/${stats.unresolved}U${stats.interrupted ? '/' + stats.interrupted + 'I' : ''}]`;
 
-        while (queueHead < queueQ.length) {
-            const q = queueQ[queueHead];
-            const r = queueR[queueHead++];
-            pocketSize++;
-            checkedUntested.add(numKey(q, r));
+    if (result.winner === 'white') {
+        statusDiv.textContent = `WHITE WINS @ dist ${Math.round(result.distance)}${loopInfo}${historyInfo}`;
+        statusDiv.className = 'escaped';  // Green for white
+    } else if (result.winner === 'black') {
+        statusDiv.textContent = `BLACK WINS @ dist ${Math.round(result.distance)}${loopInfo}${historyInfo}`;
+        statusDiv.className = 'encircled';  // Red for black
+    } else {
+        statusDiv.textContent = `UNRESOLVED @ dist ${Math.round(result.distance)}${historyInfo}`;
+        statusDiv.className = '';
+    }
+}
 
-            if (pocketSize > MAX_POCKET_SIZE) break;
+function reset() {
+    // Stop the current run, if any; its history entry is marked interrupted
+    cancelActiveRun();
+    exitReplay();
 
-            for (let i = 0; i < 6; i++) {
-                const nq = q + NEIGHBOR_OFFSETS[i][0];
-                const nr = r + NEIGHBOR_OFFSETS[i][1];
-                const nk = numKey(nq, nr);
+    clearBoard();
+    isRunning = false;
+    currentSeed = null;
+    startBtn.textContent = 'Click a hexagon to start';
+    startBtn.disabled = true;
+    seedInput.disabled = false;
+    comparatorInput.disabled = false;
+    probabilityInput.disabled = false;
+    distanceInput.disabled = false;
+    setPauseControlsEnabled(false);
+    batchInput.disabled = false;
+    batchBtn.disabled = false;
+    batchBtn.textContent = 'Run Batch';
+    replayBtn.disabled = true;
+    updateEditButtons();
+    updateCompareButton();
+    statusDiv.textContent = '';
+    statusDiv.className = '';
+    render();
+}
 
-                if (visited.has(nk)) continue;
-                visited.add(nk);
+function clearBoard() {
+    hexColors = createCellGrid();
+    hexInstances = createRevealLog();
+    maxDepth = -1;
+    boardBounds = null;
+    resetMinimap();
+    bondInstances = [];
+    enclosingLoop = null;
+    comparableRun = null;
+    clearRenderChunks();
+    clearPockets();
+    startHex = null;
+}
 
-                const colorValue = hexColors.get(nk);
-                if (colorValue !== undefined) {
-                    if (colorValue) touchesWhite = true;
-                } else {
-                    queueQ.push(nq);
-                    queueR.push(nr);
-                }
-            }
+// Pockets
+// pocketCells holds each pocket's cells in turn, as a flat q, r list
+function setPockets(pocketSizes, pocketCells) {
+    clearPockets();
+    let offset = 0;
+    for (const size of pocketSizes) {
+        const cells = pocketCells.subarray(offset, offset + size * 2);
+        offset += size * 2;
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (let i = 0; i < cells.length; i += 2) {
+            const center = lattice.center(cells[i], cells[i + 1]);
+            minX = Math.min(minX, center.x);
+            maxX = Math.max(maxX, center.x);
+            minY = Math.min(minY, center.y);
+            maxY = Math.max(maxY, center.y);
         }
-
-        if (!touchesWhite && pocketSize <= MAX_POCKET_SIZE && pocketSize > 0) {
-            pocketSizes.push(pocketSize);
+        pockets.push({ size, cells, minX, maxX, minY, maxY });
+    }
+    pockets.sort((a, b) => b.size - a.size);
+    if (pockets.length === 0) return;
+
+    // Each pocket's index rides in the color attribute (see vertexShaderSource)
+    pocketInstances = createInstanceBuffer(CELL_INSTANCE_FLOATS, bindCellAttributes);
+    pockets.forEach((pocket, i) => {
+        for (let j = 0; j < pocket.cells.length; j += 2) {
+            pocketInstances.push(pocket.cells[j], pocket.cells[j + 1], 2 + i, -1, -1);
         }
+    });
+
+    const items = pockets.slice(0, POCKET_LIST_LIMIT).map((pocket, i) => {
+        const item = document.createElement('li');
+        item.textContent = `#${i + 1}: ${pocket.size} ${pocket.size === 1 ? 'hex' : 'hexes'}`;
+        item.addEventListener('click', () => focusPocket(i));
+        return item;
+    });
+    if (pockets.length > POCKET_LIST_LIMIT) {
+        const more = document.createElement('li');
+        more.className = 'more';
+        more.textContent = `${pockets.length - POCKET_LIST_LIMIT} smaller pockets not listed`;
+        items.push(more);
     }
+    pocketList.replaceChildren(...items);
+    pocketTitle.textContent = `Pockets (${pockets.length})`;
+    pocketPanel.classList.remove('hidden');
+    render();
+}
 
-    return pocketSizes;
+function clearPockets() {
+    pockets = [];
+    if (pocketInstances) pocketInstances.destroy();
+    pocketInstances = null;
+    selectedPocket = -1;
+    pocketList.replaceChildren();
+    pocketPanel.classList.add('hidden');
 }
 
-// Event handlers
-function handleClick(e) {
-    if (isDragging || isRunning) return;
+// Highlights a pocket and fits it into half the canvas
+function focusPocket(index) {
+    const pocket = pockets[index];
+    selectedPocket = index;
+    Array.from(pocketList.children).forEach((item, i) => item.classList.toggle('selected', i === index));
 
-    const rect = canvas.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left - canvas.width / 2 - panOffset.x;
-    const mouseY = e.clientY - rect.top - canvas.height / 2 - panOffset.y;
+    fitBounds(pocket, 0.5);
+}
 
-    const hex = pixelToAxial(mouseX, mouseY);
+// Zooms and pans so bounds ({minX, maxX, minY, maxY} in cell widths) fill fraction of the canvas
+function fitBounds(bounds, fraction) {
+    setZoom(fittingZoom(bounds, fraction));
+    const width = getHexWidth();
+    panOffset = { x: -(bounds.minX + bounds.maxX) / 2 * width, y: -(bounds.minY + bounds.maxY) / 2 * width };
+    render();
+}
 
-    if (!startHex) {
-        startHex = hex;
-        setHexColor(hex.q, hex.r, true);  // White hex at click location
+function fitBoard() {
+    if (boardBounds) fitBounds(boardBounds, 0.9);
+}
 
-        if (gameMode === 'hexvshex') {
-            // Place black hex to the right
-            setHexColor(hex.q + 1, hex.r, false);
-            startBtn.textContent = 'Start Battle';
-        } else {
-            startBtn.textContent = 'Check Encirclement';
-        }
+// Board snapshots (encoding in snapshot.js)
+function saveSnapshot() {
+    const text = encodeSnapshot({
+        mode: gameMode,
+        lattice: latticeType,
+        percolation: percolationType,
+        algorithm: escapeAlgorithm,
+        strategy: frontierStrategy,
+        startHex,
+        seed: currentSeed,
+        probability: occupationProbability,
+        zoom: zoomLevel,
+        pan: panOffset,
+        cells: hexInstances.cells(),
+        bonds: bondInstances,
+        painted: percolationType === 'site' ? paintedCells() : []
+    });
+    downloadFile(`unprotected-hex-${currentSeed ?? 'board'}.hexsnap`, text, 'text/plain');
+    navigator.clipboard?.writeText(text).catch(() => {});
+    return text;
+}
 
-        render();
-        startBtn.disabled = false;
+// Replaces the board (cancelling any run) with a decoded snapshot; the seed, probability,
+// algorithm, strategy and paint go back into the controls so the run can be reproduced.
+// A custom strategy keeps the comparator typed here, as snapshots carry no code
+function loadSnapshot(text) {
+    const snapshot = decodeSnapshot(text);
+
+    gameMode = snapshot.mode;
+    modeSelect.value = snapshot.mode;
+    reset();
+    const previousLattice = latticeType;
+    setLattice(snapshot.lattice);  // Also locks or unlocks the lattice for the mode
+    if (latticeType !== previousLattice) discardPaint();
+    // The mode and percolation decide which algorithms and strategies can be picked.
+    // Older snapshots leave out the algorithm, strategy and paint, which then stay as they are
+    setPercolation(snapshot.percolation);
+    setAlgorithm(snapshot.algorithm ?? algorithmSelect.value);
+    setStrategy(snapshot.strategy ?? strategySelect.value);
+    if (snapshot.painted) replacePaint(snapshot.painted);
+
+    currentSeed = snapshot.seed;
+    seedInput.value = snapshot.seed ?? '';
+    occupationProbability = snapshot.probability;
+    probabilityInput.value = snapshot.probability;
+    const cells = snapshot.cells;
+    for (let i = 0; i < cells.length; i += 4) {
+        setHexColor(cells[i], cells[i + 1], cells[i + 2] === 1, cells[i + 3]);
     }
+    for (const bond of snapshot.bonds) {
+        addBond(bond.q, bond.r, bond.index, bond.open, bond.cells);
+    }
+    startHex = snapshot.startHex;
+    if (startHex) {
+        // Same state as after a finished run: the board is shown, Reset starts over
+        startBtn.textContent = startButtonLabel();
+    }
+    panOffset = { x: snapshot.pan.x, y: snapshot.pan.y };
+    setZoom(snapshot.zoom);
+    replayBtn.disabled = hexInstances.length === 0;
+
+    const bondInfo = bondInstances.length > 0 ? `, ${bondInstances.length} bonds` : '';
+    statusDiv.textContent = `Loaded snapshot: ${hexInstances.length} hexes${bondInfo} | Seed: ${snapshot.seed ?? '-'} | ${modelLabel(latticeType, percolationType)} p=${snapshot.probability}`;
 }
 
-async function startCheck() {
-    if (!startHex || isRunning) return;
+// Batch mode: N unattended trials from the origin, trial i using seed base + i
+let batchStopRequested = false;
 
-    isRunning = true;
-    currentMaxDist = 0;
-    startBtn.disabled = true;
-    resetBtn.disabled = true;
-    modeSelect.disabled = true;
-    statusDiv.className = '';
+function resolveBatchSize() {
+    const value = parseInt(batchInput.value, 10);
+    const trials = Number.isFinite(value) && value > 0 ? value : 1;
+    batchInput.value = trials;
+    return trials;
+}
 
+function formatBatchTally(tally) {
     if (gameMode === 'hexvshex') {
-        await startHvhCheck();
-    } else {
-        await startEscapeCheck();
+        return `${tally.white}W/${tally.black}B/${tally.unresolved}U`;
     }
+    return `${tally.escaped}E/${tally.encircled}C`;
+}
 
-    isRunning = false;
-    resetBtn.disabled = false;
+async function runBatch() {
+    // The batch button doubles as the stop button while a batch is running
+    if (isRunning) {
+        batchStopRequested = true;
+        cancelActiveRun();
+        return;
+    }
+
+    setHistorySavesDeferred(true);
+    try {
+        await runBatchTrials();
+    } finally {
+        setHistorySavesDeferred(false);
+    }
 }
 
-async function startEscapeCheck() {
-    startRun();  // Begin tracking
+async function runBatchTrials() {
+    const trials = resolveBatchSize();
+    const baseSeed = resolveSeed();
+    occupationProbability = resolveProbability();
+    escapeDistance = resolveEscapeDistance();
 
-    const result = await checkEncirclement(startHex.q, startHex.r);
+    exitReplay();
+    const run = beginRun(true);
+    isRunning = true;
+    batchStopRequested = false;
+    startBtn.disabled = true;
+    seedInput.disabled = true;
+    comparatorInput.disabled = true;
+    probabilityInput.disabled = true;
+    distanceInput.disabled = true;
+    batchInput.disabled = true;
+    batchBtn.textContent = 'Stop Batch';
+    replayBtn.disabled = true;
+    updateEditButtons();
+    updateCompareButton();
+    statusDiv.className = '';
 
-    endRun(result.escaped, result.distance);  // Finish tracking
+    const tally = gameMode === 'hexvshex'
+        ? { white: 0, black: 0, unresolved: 0 }
+        : { escaped: 0, encircled: 0 };
+    let completed = 0;
+    let failure = null;
+    let lastYieldTime = performance.now();
 
-    statusDiv.textContent = 'Analyzing pockets...';
-    await sleep(0);
-    const pocketSizes = findEncircledPockets();
-    const numPockets = pocketSizes.length;
-    const maxPocketSize = pocketSizes.length > 0 ? Math.max(...pocketSizes) : 0;
-    const totalPocketArea = pocketSizes.reduce((sum, s) => sum + s, 0);
+    // A failed trial (see runSimulation) stops the batch; the trials before it are kept
+    try {
+        while (completed < trials) {
+            clearBoard();
+            currentSeed = (baseSeed + completed) >>> 0;
+            placeStartHex({ q: 0, r: 0 });
+
+            if (gameMode === 'hexvshex') {
+                startHvhRun();
+                const result = await runSimulation(run, false);
+                if (run.cancelled) break;
+                endHvhRun(result.winner, result.distance, result.hexCount);
+                tally[result.winner]++;
+            } else {
+                startRun();
+                const result = await runSimulation(run, false);
+                if (run.cancelled) break;
+                endRun(result.escaped, result.distance, result.hexCount);
+                tally[result.escaped ? 'escaped' : 'encircled']++;
+            }
+            completed++;
+            if (performance.now() - lastHistorySave > HISTORY_SAVE_INTERVAL) flushHistorySaves();
 
-    const stats = getRunStats();
+            statusDiv.textContent = `Batch ${completed}/${trials} | Seed: ${currentSeed} | ${currentModelLabel()} p=${occupationProbability} | ${formatBatchTally(tally)}`;
 
-    const pocketInfo = numPockets > 0
-        ? ` | Pockets: ${numPockets} (max: ${maxPocketSize}, total: ${totalPocketArea})`
-        : '';
+            const now = performance.now();
+            if (now - lastYieldTime > 50) {
+                await sleep(0);
+                if (run.cancelled) break;
+                lastYieldTime = performance.now();
+            }
+        }
+    } catch (e) {
+        failure = e.message;
+        if (gameMode === 'hexvshex') {
+            discardHvhRun();
+        } else {
+            discardRun();
+        }
+    }
 
-    const historyInfo = ` | #${stats.total} [${stats.escaped}E/${stats.encircled}C${stats.interrupted ? '/' + stats.interrupted + 'I' : ''}]`;
+    // Reset or a mode switch took over
+    if (run.cancelled && !batchStopRequested) return;
 
-    if (result.escaped) {
-        statusDiv.textContent = `ESCAPED @ ${result.distance}${pocketInfo}${historyInfo}`;
-        statusDiv.className = 'escaped';
-    } else {
-        statusDiv.textContent = `ENCIRCLED @ ${result.distance}${pocketInfo}${historyInfo}`;
-        statusDiv.className = 'encircled';
+    if (!run.cancelled) {
+        // Trials don't stream their hexes; fetch the last one to leave it on screen
+        await requestSimulation({ type: 'sync', runId: run.id }, 'synced');
+        if (run.cancelled && !batchStopRequested) return;
+        finishRun(run);
     }
+    render();
+    const outcome = failure ? 'FAILED' : completed < trials ? 'STOPPED' : 'DONE';
+    statusDiv.textContent = `BATCH ${outcome}: ${completed} trials | Seeds: ${baseSeed}-${currentSeed} | ${currentModelLabel()} p=${occupationProbability} | ${formatBatchTally(tally)}${failure ? ` | ${failure}` : ''}`;
+    statusDiv.className = failure ? 'encircled' : '';
 
-    console.log('Run History:', runHistory);
+    isRunning = false;
+    // The last trial stays on the board; Start reruns from its start hex
+    startBtn.textContent = startButtonLabel();
+    startBtn.disabled = false;
+    seedInput.disabled = false;
+    comparatorInput.disabled = false;
+    probabilityInput.disabled = false;
+    distanceInput.disabled = false;
+    batchInput.disabled = false;
+    batchBtn.textContent = 'Run Batch';
+    replayBtn.disabled = false;
+    updateEditButtons();
+    updateCompareButton();
 }
 
-async function startHvhCheck() {
-    startHvhRun();  // Begin tracking
-
-    const result = await hexVsHexCheck();
+// Replay: scrub or play back the finished board in reveal order
+const REPLAY_FRAMES_AT_1X = 600;  // A whole run plays back in ~10s at 1x speed
+let replayPlaying = false;
+let replayFrameScheduled = false;
+
+function enterReplay() {
+    if (isRunning || hexInstances.length === 0) return;
+    replaySlider.max = hexInstances.length;
+    replayBar.classList.remove('hidden');
+    setReplayIndex(0);
+    setReplayPlaying(true);
+}
 
-    endHvhRun(result.winner, result.distance);  // Finish tracking
+function exitReplay() {
+    if (replayIndex === null) return;
+    setReplayPlaying(false);
+    replayIndex = null;
+    replayBar.classList.add('hidden');
+    render();
+}
 
-    const stats = getHvhStats();
-    const historyInfo = ` | #${stats.total} [${stats.whiteWins}W/${stats.blackWins}B/${stats.unresolved}U${stats.interrupted ? '/' + stats.interrupted + 'I' : ''}]`;
+function setReplayIndex(index) {
+    replayIndex = Math.max(0, Math.min(hexInstances.length, index));
+    replaySlider.value = replayIndex;
+    replayValue.textContent = `${replayIndex} / ${hexInstances.length}`;
+    render();
+}
 
-    if (result.winner === 'white') {
-        statusDiv.textContent = `WHITE WINS @ dist ${Math.round(result.distance)}${historyInfo}`;
-        statusDiv.className = 'escaped';  // Green for white
-    } else if (result.winner === 'black') {
-        statusDiv.textContent = `BLACK WINS @ dist ${Math.round(result.distance)}${historyInfo}`;
-        statusDiv.className = 'encircled';  // Red for black
-    } else {
-        statusDiv.textContent = `UNRESOLVED @ dist ${Math.round(result.distance)}${historyInfo}`;
-        statusDiv.className = '';
+function setReplayPlaying(playing) {
+    replayPlaying = playing;
+    replayPlayBtn.textContent = playing ? 'Pause' : 'Play';
+    if (playing) {
+        // Play from the start again once the end has been reached
+        if (replayIndex >= hexInstances.length) setReplayIndex(0);
+        scheduleReplayFrame();
     }
-
-    console.log('HvH Run History:', hvhRunHistory);
 }
 
-function reset() {
-    // Interrupt current run if in progress
-    if (isRunning) {
-        if (gameMode === 'escape') {
-            interruptRun(currentMaxDist);
+function scheduleReplayFrame() {
+    if (replayFrameScheduled) return;
+    replayFrameScheduled = true;
+    requestAnimationFrame(() => {
+        replayFrameScheduled = false;
+        if (!replayPlaying || replayIndex === null) return;
+
+        // The speed slider scales playback; MAX jumps to the end
+        const perFrame = Math.max(1, hexInstances.length / REPLAY_FRAMES_AT_1X) * speedMultiplier;
+        setReplayIndex(replayIndex + Math.ceil(perFrame));
+        if (replayIndex >= hexInstances.length) {
+            setReplayPlaying(false);
         } else {
-            interruptHvhRun(currentMaxDist);
+            scheduleReplayFrame();
         }
-    }
+    });
+}
 
-    hexColors.clear();
-    hexInstances = [];
-    instanceBufferDirty = true;
-    startHex = null;
-    isRunning = false;
-    startBtn.textContent = 'Click a hexagon to start';
-    startBtn.disabled = true;
-    modeSelect.disabled = false;
-    statusDiv.textContent = '';
-    statusDiv.className = '';
-    render();
+// Pointer handling: mouse, touch and pen alike. One pointer pans (in paint mode it paints,
+// and Shift+drag pans), two pinch-zoom about the point between them; a press that moves
+// less than DRAG_THRESHOLD pixels is a click
+const DRAG_THRESHOLD = 3;
+const activePointers = new Map();  // pointerId -> {x, y}, client coordinates
+let pinch = null;                  // {distance, midX, midY} of the two pinching pointers
+
+function pinchState() {
+    const [a, b] = activePointers.values();
+    const rect = canvas.getBoundingClientRect();
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        midX: (a.x + b.x) / 2 - rect.left,
+        midY: (a.y + b.y) / 2 - rect.top
+    };
 }
 
-// Pan handling
-canvas.addEventListener('mousedown', (e) => {
-    if (e.button === 0) {
+canvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || activePointers.size >= 2) return;
+    canvas.setPointerCapture(e.pointerId);
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (activePointers.size === 1) {
         isDragging = false;
         lastMouse = { x: e.clientX, y: e.clientY };
+        if (!e.shiftKey) paintPress(eventHex(e));
+    } else {
+        // A second finger turns the gesture into a pinch, which never ends in a click or
+        // a stroke: paint the first finger laid down is taken back
+        if (currentStroke) cancelStroke();
+        isDragging = true;
+        pinch = pinchState();
     }
 });
 
-canvas.addEventListener('mousemove', (e) => {
-    if (e.buttons === 1) {
+canvas.addEventListener('pointermove', (e) => {
+    // Fingers don't hover, so only mice and pens drive the inspector
+    if (e.pointerType !== 'touch') inspectAt(eventHex(e), e.clientX, e.clientY);
+
+    const pointer = activePointers.get(e.pointerId);
+    if (!pointer) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (pinch) {
+        const next = pinchState();
+        panOffset.x += next.midX - pinch.midX;
+        panOffset.y += next.midY - pinch.midY;
+        if (pinch.distance > 0) {
+            setZoom(zoomLevel * next.distance / pinch.distance, { x: next.midX, y: next.midY });
+        } else {
+            render();
+        }
+        pinch = next;
+    } else if (currentStroke) {
+        continueStroke(eventHex(e));
+    } else {
         const dx = e.clientX - lastMouse.x;
         const dy = e.clientY - lastMouse.y;
 
-        if (Math.abs(dx) > 3 || Math.abs(dy) > 3) {
+        if (Math.abs(dx) > DRAG_THRESHOLD || Math.abs(dy) > DRAG_THRESHOLD) {
             isDragging = true;
         }
 
@@ -1103,12 +2153,29 @@ canvas.addEventListener('mousemove', (e) => {
     }
 });
 
-canvas.addEventListener('mouseup', (e) => {
-    if (!isDragging) {
+// A cancelled pointer (the browser took over the gesture) never clicks
+function releasePointer(e) {
+    if (!activePointers.delete(e.pointerId)) return;
+
+    if (activePointers.size === 1) {
+        // Back to one finger: it carries on panning from where it is
+        pinch = null;
+        const [rest] = activePointers.values();
+        lastMouse = { x: rest.x, y: rest.y };
+        return;
+    }
+
+    if (currentStroke) {
+        endStroke();
+    } else if (!isDragging && e.type === 'pointerup') {
         handleClick(e);
     }
     isDragging = false;
-});
+}
+
+canvas.addEventListener('pointerup', releasePointer);
+canvas.addEventListener('pointercancel', releasePointer);
+canvas.addEventListener('pointerleave', () => inspectAt(null, 0, 0));
 
 // Resize handling
 function resize() {
@@ -1122,16 +2189,125 @@ window.addEventListener('resize', resize);
 // Button handlers
 startBtn.addEventListener('click', startCheck);
 resetBtn.addEventListener('click', reset);
+batchBtn.addEventListener('click', runBatch);
+pauseBtn.addEventListener('click', togglePause);
+stepBtn.addEventListener('click', () => stepCheck('hex'));
+stepLayerBtn.addEventListener('click', () => stepCheck('layer'));
+exportJsonBtn.addEventListener('click', exportHistoryJson);
+exportCsvBtn.addEventListener('click', exportHistoryCsv);
+importBtn.addEventListener('click', () => importInput.click());
+saveBoardBtn.addEventListener('click', saveSnapshot);
+replayBtn.addEventListener('click', enterReplay);
+compareBtn.addEventListener('click', compareRun);
+replayPlayBtn.addEventListener('click', () => setReplayPlaying(!replayPlaying));
+replayCloseBtn.addEventListener('click', exitReplay);
+
+replaySlider.addEventListener('input', (e) => {
+    setReplayPlaying(false);
+    setReplayIndex(parseInt(e.target.value, 10));
+});
+loadBoardBtn.addEventListener('click', () => loadBoardInput.click());
+
+loadBoardInput.addEventListener('change', async () => {
+    const file = loadBoardInput.files[0];
+    loadBoardInput.value = '';
+    if (!file) return;
+    try {
+        loadSnapshot(await file.text());
+    } catch (e) {
+        statusDiv.textContent = `Load failed: ${e.message}`;
+        statusDiv.className = 'encircled';
+    }
+});
+
+importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';  // Allow importing the same file again
+    if (!file) return;
+    try {
+        const { added, hvhAdded, skipped } = importHistory(file.name, await file.text());
+        statusDiv.textContent = `Imported ${added} escape and ${hvhAdded} HvH runs from ${file.name}` +
+            (skipped ? ` (${skipped} duplicates skipped)` : '');
+        statusDiv.className = '';
+    } catch (e) {
+        statusDiv.textContent = `Import failed: ${e.message}`;
+        statusDiv.className = 'encircled';
+    }
+});
+
 startBtn.disabled = true;
+replayBtn.disabled = true;
+compareBtn.disabled = true;
+setPauseControlsEnabled(false);
+
+// Keyboard shortcuts: Space pauses/resumes (the check, or the replay), N steps one hex, L steps one layer;
+// in paint mode Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes
+document.addEventListener('keydown', (e) => {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (editMode && (e.ctrlKey || e.metaKey) && !e.altKey) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoPaint();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoPaint();
+        }
+        return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === ' ') {
+        if (e.target.tagName === 'BUTTON') return;  // A focused button handles Space itself
+        e.preventDefault();
+        if (replayIndex !== null) {
+            setReplayPlaying(!replayPlaying);
+        } else {
+            togglePause();
+        }
+    } else if (e.key === 'n' || e.key === 'N') {
+        stepCheck('hex');
+    } else if (e.key === 'l' || e.key === 'L') {
+        stepCheck('layer');
+    }
+});
 
 // Zoom control
-function setZoom(newZoom) {
-    zoomLevel = Math.max(0.02, Math.min(2, newZoom));
-    zoomSlider.value = Math.max(0.05, zoomLevel);
-    zoomValue.textContent = zoomLevel < 0.1 ? zoomLevel.toFixed(2) + 'x' : zoomLevel.toFixed(1) + 'x';
+// The zoom goes down to MIN_ZOOM, or further on a board too big to fit the canvas at that
+// zoom: far enough to shrink it to a quarter of the canvas. The slider's range follows
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 2;
+
+// Zoom at which bounds ({minX, maxX, minY, maxY} in cell widths) fill fraction of the canvas
+function fittingZoom(bounds, fraction) {
+    const cellsAcross = Math.max((bounds.maxX - bounds.minX + 1) / canvas.width, (bounds.maxY - bounds.minY + 1) / canvas.height);
+    return fraction / cellsAcross / (Math.sqrt(3) * BASE_HEX_SIZE);
+}
+
+function minimumZoom() {
+    return boardBounds ? Math.min(MIN_ZOOM, fittingZoom(boardBounds, 0.25)) : MIN_ZOOM;
+}
+
+// With an anchor (canvas pixels), the board point under it stays put
+function setZoom(newZoom, anchor) {
+    const oldWidth = getHexWidth();
+    const minZoom = minimumZoom();
+    zoomLevel = Math.max(minZoom, Math.min(MAX_ZOOM, newZoom));
+    if (anchor) {
+        const scale = getHexWidth() / oldWidth;
+        const x = anchor.x - canvas.width / 2;
+        const y = anchor.y - canvas.height / 2;
+        panOffset.x = x - (x - panOffset.x) * scale;
+        panOffset.y = y - (y - panOffset.y) * scale;
+    }
+    zoomSlider.min = minZoom;
+    zoomSlider.value = zoomLevel;
+    zoomValue.textContent = zoomLevel < 0.1 ? +zoomLevel.toPrecision(2) + 'x' : zoomLevel.toFixed(1) + 'x';
     render();
 }
 
+fitBtn.addEventListener('click', fitBoard);
+
 zoomSlider.addEventListener('input', (e) => {
     setZoom(parseFloat(e.target.value));
 });
@@ -1143,7 +2319,8 @@ canvas.addEventListener('wheel', (e) => {
     if (now - lastWheelTime < 16) return;
     lastWheelTime = now;
     const zoomDelta = e.deltaY > 0 ? -0.05 : 0.05;
-    setZoom(zoomLevel + zoomDelta * zoomLevel); // Proportional zoom
+    const rect = canvas.getBoundingClientRect();
+    setZoom(zoomLevel + zoomDelta * zoomLevel, { x: e.clientX - rect.left, y: e.clientY - rect.top }); // Proportional zoom
 }, { passive: false });
 
 // Speed control
@@ -1162,6 +2339,8 @@ function speedToLabel(speed) {
 function updateSpeedFromSlider(val) {
     speedMultiplier = sliderToSpeed(val);
     speedValue.textContent = speedToLabel(speedMultiplier);
+    postToSimulation({ type: 'speed', speed: speedMultiplier });
+    scheduleHashUpdate();
 }
 
 speedSlider.addEventListener('input', (e) => {
@@ -1170,23 +2349,65 @@ speedSlider.addEventListener('input', (e) => {
 
 // Mode change handler
 modeSelect.addEventListener('change', (e) => {
-    if (isRunning) return;  // Don't change mode during run
     gameMode = e.target.value;
-    reset();  // Reset when mode changes
+    reset();  // Reset when mode changes, cancelling any run in progress
+    const previousLattice = latticeType;
+    setLattice(latticeSelect.value);
+    if (latticeType !== previousLattice) discardPaint();
+    setPercolation(percolationSelect.value);
+    setAlgorithm(algorithmSelect.value);
+    setStrategy(strategySelect.value);
+});
+
+latticeSelect.addEventListener('change', (e) => {
+    reset();  // Cells from one lattice mean nothing on another
+    setLattice(e.target.value);
+    discardPaint();
+});
+
+percolationSelect.addEventListener('change', (e) => {
+    reset();
+    setPercolation(e.target.value);
+    setAlgorithm(algorithmSelect.value);
+});
+
+algorithmSelect.addEventListener('change', (e) => {
+    reset();
+    setAlgorithm(e.target.value);
+});
+
+strategySelect.addEventListener('change', (e) => {
+    reset();
+    setStrategy(e.target.value);
+});
+
+// Typed settings take effect at the next run, but the link records them straight away
+seedInput.addEventListener('change', scheduleHashUpdate);
+probabilityInput.addEventListener('change', scheduleHashUpdate);
+distanceInput.addEventListener('change', scheduleHashUpdate);
+
+overlaySelect.addEventListener('change', (e) => {
+    setOverlayMode(e.target.value);
+});
+
+// Collapsing the pocket list also hides the tints
+pocketToggle.addEventListener('click', () => {
+    const collapsed = pocketPanel.classList.toggle('collapsed');
+    pocketToggle.textContent = collapsed ? 'Show' : 'Hide';
+    render();
 });
 
 // Initialize
+connectSimulation();
+setLattice(latticeSelect.value);
+setPercolation(percolationSelect.value);
+setAlgorithm(algorithmSelect.value);
+setStrategy(strategySelect.value);
+overlayGradient.style.background = `linear-gradient(to right, ${OVERLAY_COLORMAP.map(c => `rgb(${c.map(v => Math.round(v * 255)).join(', ')})`).join(', ')})`;
+setOverlayMode(overlaySelect.value);
 loadRunHistory();
 loadHvhHistory();
 updateSpeedFromSlider(parseFloat(speedSlider.value));
 resize();
+applyLocationHash();
 
-// Log loaded history
-const stats = getRunStats();
-if (stats.total > 0) {
-    console.log(`Loaded ${stats.total} escape runs: ${stats.escaped}E/${stats.encircled}C/${stats.interrupted}I`);
-}
-const hvhStats = getHvhStats();
-if (hvhStats.total > 0) {
-    console.log(`Loaded ${hvhStats.total} HvH runs: ${hvhStats.whiteWins}W/${hvhStats.blackWins}B/${hvhStats.unresolved}U/${hvhStats.interrupted}I`);
-}
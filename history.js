@@ -0,0 +1,190 @@
+// Run history records and their export / import formats
+// Exports carry both histories as JSON or CSV; imports validate each run and merge it,
+// skipping runs already present. The page keeps the histories themselves (see hex.js);
+// the percolation types, escape algorithms and default probability are its settings too
+
+const EXPORT_FORMAT = 'unprotected-hex-history';
+const EXPORT_VERSION = 1;
+// A custom strategy's comparator source is only carried by JSON exports
+const CSV_COLUMNS = ['mode', 'outcome', 'distance', 'hexCount', 'seed', 'probability', 'lattice', 'percolation', 'algorithm', 'strategy', 'startQ', 'startR', 'timestamp', 'interrupted', 'pocketHistogram'];
+const CSV_OPTIONAL_COLUMNS = ['lattice', 'percolation', 'algorithm', 'strategy', 'pocketHistogram'];  // Absent from exports made before these existed
+const HVH_WINNERS = ['white', 'black', 'unresolved'];
+
+// Runs recorded before the probability was configurable all used the default
+function runProbability(run) {
+    return run.probability ?? DEFAULT_PROBABILITY;
+}
+
+// Likewise, runs from before lattices were selectable were hexagonal
+function runLattice(run) {
+    return run.lattice ?? 'hex';
+}
+
+// ...and used site percolation
+function runPercolation(run) {
+    return run.percolation ?? 'site';
+}
+
+// ...and escape runs used the BFS
+function runAlgorithm(run) {
+    return run.algorithm ?? 'bfs';
+}
+
+// ...and HvH runs colored the outermost boundary hex first
+function runStrategy(run) {
+    return run.strategy ?? 'outermost';
+}
+
+function formatHistoryJson(runs, hvhRuns) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        runs,
+        hvhRuns
+    }, null, 2);
+}
+
+// One row per run; 'outcome' is escaped/encircled or the HvH winner
+function formatHistoryCsv(runs, hvhRuns) {
+    const row = (mode, outcome, run) => [
+        mode, outcome ?? '', run.distance, run.hexCount, run.seed ?? '', runProbability(run), runLattice(run), runPercolation(run),
+        mode === 'escape' ? runAlgorithm(run) : '', mode === 'hexvshex' ? runStrategy(run) : '', run.startQ ?? '', run.startR ?? '', run.timestamp, run.interrupted,
+        run.pocketHistogram?.join(' ') ?? ''
+    ].join(',');
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const run of runs) {
+        const outcome = run.escaped === null ? null : (run.escaped ? 'escaped' : 'encircled');
+        lines.push(row('escape', outcome, run));
+    }
+    for (const run of hvhRuns) {
+        lines.push(row('hexvshex', run.winner, run));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function parseCsvHistory(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines.shift()?.split(',').map(s => s.trim());
+    const required = CSV_COLUMNS.filter(column => !CSV_OPTIONAL_COLUMNS.includes(column));
+    if (!header || required.some(column => !header.includes(column))) {
+        throw new Error(`CSV header must contain ${required.join(', ')}`);
+    }
+
+    const runs = [];
+    const hvhRuns = [];
+    lines.forEach((line, i) => {
+        const cells = line.split(',');
+        const field = name => {
+            const value = cells[header.indexOf(name)]?.trim();
+            return value === undefined || value === '' ? null : value;
+        };
+        const number = name => (field(name) === null ? null : Number(field(name)));
+        const run = {
+            distance: number('distance'),
+            hexCount: number('hexCount'),
+            seed: number('seed'),
+            probability: number('probability'),
+            lattice: field('lattice') ?? 'hex',
+            percolation: field('percolation') ?? 'site',
+            startQ: number('startQ'),
+            startR: number('startR'),
+            timestamp: number('timestamp'),
+            interrupted: field('interrupted') === 'true',
+            inProgress: false
+        };
+        if (field('pocketHistogram') !== null) run.pocketHistogram = field('pocketHistogram').split(/\s+/).map(Number);
+        const outcome = field('outcome');
+        if (field('mode') === 'escape') {
+            if (outcome !== null && outcome !== 'escaped' && outcome !== 'encircled') {
+                throw new Error(`Row ${i + 2}: unknown escape outcome "${outcome}"`);
+            }
+            runs.push({ escaped: outcome === null ? null : outcome === 'escaped', algorithm: field('algorithm') ?? 'bfs', ...run });
+        } else if (field('mode') === 'hexvshex') {
+            hvhRuns.push({ winner: outcome, strategy: field('strategy') ?? 'outermost', ...run });
+        } else {
+            throw new Error(`Row ${i + 2}: unknown mode "${field('mode')}"`);
+        }
+    });
+    return { runs, hvhRuns };
+}
+
+function parseJsonHistory(text) {
+    const data = JSON.parse(text);
+    if (data?.format !== EXPORT_FORMAT) {
+        throw new Error('Not an Unprotected Hex history export');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error(`Unsupported export version ${data.version}`);
+    }
+    if (!Array.isArray(data.runs) || !Array.isArray(data.hvhRuns)) {
+        throw new Error('Export is missing the runs or hvhRuns list');
+    }
+    return { runs: data.runs, hvhRuns: data.hvhRuns };
+}
+
+// Throws on the first malformed run; unfinished runs are imported as interrupted, like on load
+function validateRun(run, isHvh, label) {
+    // Numbers only: a string or boolean would pass the comparisons and split the groups by probability
+    const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+    const isCount = v => Number.isInteger(v) && v >= 0;
+    const isOptionalInt = v => v === null || v === undefined || Number.isInteger(v);
+
+    if (typeof run !== 'object' || run === null) throw new Error(`${label}: not an object`);
+    if (!isNumber(run.distance) || run.distance < 0) throw new Error(`${label}: invalid distance`);
+    if (!isCount(run.hexCount)) throw new Error(`${label}: invalid hexCount`);
+    if (!isNumber(run.timestamp)) throw new Error(`${label}: invalid timestamp`);
+    if (!(run.seed === null || run.seed === undefined || (isCount(run.seed) && run.seed <= 0xffffffff))) {
+        throw new Error(`${label}: invalid seed`);
+    }
+    if (!(run.probability === null || run.probability === undefined || (isNumber(run.probability) && run.probability >= 0 && run.probability <= 1))) {
+        throw new Error(`${label}: invalid probability`);
+    }
+    if (!(run.lattice === undefined || Object.hasOwn(LATTICES, run.lattice))) throw new Error(`${label}: unknown lattice`);
+    if (!(run.percolation === undefined || PERCOLATION_TYPES.includes(run.percolation)) || (isHvh && run.percolation === 'bond')) {
+        throw new Error(`${label}: invalid percolation type`);
+    }
+    if (!(run.algorithm === undefined || (!isHvh && ESCAPE_ALGORITHMS.includes(run.algorithm)))) {
+        throw new Error(`${label}: unknown escape algorithm`);
+    }
+    if (run.algorithm === 'hull' && run.percolation === 'bond') throw new Error(`${label}: hull walks need site percolation`);
+    if (!(run.strategy === undefined || (isHvh && Object.hasOwn(FRONTIER_STRATEGIES, run.strategy)))) {
+        throw new Error(`${label}: unknown frontier strategy`);
+    }
+    if (!(run.comparator === undefined || typeof run.comparator === 'string')) throw new Error(`${label}: invalid comparator`);
+    if (!isOptionalInt(run.startQ) || !isOptionalInt(run.startR)) throw new Error(`${label}: invalid start hex`);
+    if (!(run.pocketHistogram === undefined || (Array.isArray(run.pocketHistogram) && run.pocketHistogram.every(isCount)))) {
+        throw new Error(`${label}: invalid pocket histogram`);
+    }
+    if (isHvh ? !(run.winner === null || HVH_WINNERS.includes(run.winner)) : !(run.escaped === null || typeof run.escaped === 'boolean')) {
+        throw new Error(`${label}: invalid outcome`);
+    }
+
+    const unfinished = run.inProgress || (isHvh ? run.winner === null : run.escaped === null);
+    return { ...run, interrupted: Boolean(run.interrupted || unfinished), inProgress: false };
+}
+
+// Identity of a run across machines: everything recorded about it but a custom strategy's
+// comparator, which CSV exports leave out, so a run comes back the same from either format
+function runFingerprint(run, isHvh) {
+    return JSON.stringify([
+        isHvh ? run.winner : run.escaped, run.distance, run.hexCount, run.seed ?? null,
+        runProbability(run), runLattice(run), runPercolation(run), run.startQ ?? null, run.startR ?? null, run.timestamp, Boolean(run.interrupted),
+        run.pocketHistogram ?? null, isHvh ? runStrategy(run) : runAlgorithm(run)
+    ]);
+}
+
+// Appends runs not already in history; returns the number added
+function mergeRuns(history, incoming, isHvh) {
+    const known = new Set(history.map(run => runFingerprint(run, isHvh)));
+    let added = 0;
+    for (const run of incoming) {
+        const fingerprint = runFingerprint(run, isHvh);
+        if (known.has(fingerprint)) continue;
+        known.add(fingerprint);
+        history.push(run);
+        added++;
+    }
+    return added;
+}
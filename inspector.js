@@ -0,0 +1,138 @@
+// Hover inspector: details of the cell under the pointer, in a tooltip beside it
+// A cell's cluster is the connected set of revealed cells sharing its color, and its id is the
+// reveal index of the cluster's first cell. Boundary cells touch a revealed cell of the other
+// color; frontier cells are unrevealed cells next to a revealed one, the next a run would color.
+// A replay shows the board as of its position: later cells count as unrevealed, and pockets,
+// found on the finished board, are left out
+
+const inspector = document.getElementById('inspector');
+
+const INSPECTOR_OFFSET = 16;  // Pixels between the pointer and the tooltip
+
+let inspectedHex = null;      // {q, r} under the pointer, null when it is off the board
+let inspectorPoint = null;    // Pointer position in client coordinates
+let inspectedCluster = null;  // {cells, color, members, id, size, revealed, shown} of the last cluster flooded
+let pocketLookup = null;      // {pockets, count, cells}: cell -> pocket index + 1, for the pocket list shown
+
+// Reveal index of a revealed cell, read back from its render chunk's texel; -1 if unrevealed
+function revealIndex(q, r) {
+    const chunk = renderChunks.get(chunkKey(q, r));
+    if (!chunk) return -1;
+    const packed = chunk.texels[(((r & CHUNK_MASK) << CHUNK_BITS) | (q & CHUNK_MASK)) * 2];
+    return packed === 0 ? -1 : Math.floor(packed / 2) - 1;
+}
+
+// Color of a cell as currently drawn, 0 for one a replay has not reached yet
+function shownColor(q, r) {
+    const cell = hexColors.get(q, r);
+    return cell !== 0 && replayIndex !== null && revealIndex(q, r) >= replayIndex ? 0 : cell;
+}
+
+// The cluster around a revealed cell, reused while the pointer stays inside it and nothing
+// new has been revealed
+function clusterAt(q, r) {
+    const cached = inspectedCluster;
+    if (cached && cached.cells === hexColors && cached.revealed === hexInstances.length &&
+        cached.shown === replayIndex && cached.members.get(q, r)) {
+        return cached;
+    }
+
+    const color = shownColor(q, r);
+    const members = createCellGrid(Uint8Array);
+    const queue = [q, r];
+    members.set(q, r, 1);
+    let id = revealIndex(q, r);
+    for (let i = 0; i < queue.length; i += 2) {
+        for (const [dq, dr] of lattice.neighbors(queue[i], queue[i + 1])) {
+            const nq = queue[i] + dq;
+            const nr = queue[i + 1] + dr;
+            if (members.get(nq, nr) || shownColor(nq, nr) !== color) continue;
+            members.set(nq, nr, 1);
+            queue.push(nq, nr);
+            id = Math.min(id, revealIndex(nq, nr));
+        }
+    }
+    inspectedCluster = { cells: hexColors, color, members, id, size: queue.length / 2, revealed: hexInstances.length, shown: replayIndex };
+    return inspectedCluster;
+}
+
+// Index into pockets of the pocket holding a cell, -1 for none
+function pocketIndexAt(q, r) {
+    if (!pocketLookup || pocketLookup.pockets !== pockets || pocketLookup.count !== pockets.length) {
+        const cells = createCellGrid(Uint32Array);
+        pockets.forEach((pocket, i) => {
+            for (let j = 0; j < pocket.cells.length; j += 2) {
+                cells.set(pocket.cells[j], pocket.cells[j + 1], i + 1);
+            }
+        });
+        pocketLookup = { pockets, count: pockets.length, cells };
+    }
+    return pocketLookup.cells.get(q, r) - 1;
+}
+
+function colorName(cell) {
+    return cell === CELL_WHITE ? 'white' : 'black';
+}
+
+function inspectorLines(q, r) {
+    const origin = startHex ?? { q: 0, r: 0 };
+    const lines = [
+        `(${q}, ${r})`,
+        `Distance: ${lattice.distance(q, r, origin.q, origin.r)} from ${startHex ? 'start' : 'origin'}`
+    ];
+
+    const cell = shownColor(q, r);
+    const neighbors = lattice.neighbors(q, r).map(([dq, dr]) => shownColor(q + dq, r + dr));
+    if (cell === 0) {
+        const paint = getPaint(q, r);
+        lines.push(paint ? `Unrevealed, painted ${colorName(paint)}` : 'Unrevealed');
+        if (neighbors.some(neighbor => neighbor !== 0)) lines.push('On the frontier');
+    } else {
+        const index = revealIndex(q, r);
+        const depth = hexInstances.depth(index);
+        lines.push(`Color: ${colorName(cell)}`);
+        lines.push(`Revealed: #${index + 1}`);
+        if (depth >= 0) lines.push(`BFS depth: ${depth}`);
+        // Flooding a cluster still growing would redo the work on every frame
+        if (isRunning) {
+            lines.push('Cluster: after the run');
+        } else {
+            const cluster = clusterAt(q, r);
+            lines.push(`Cluster: #${cluster.id + 1}, ${cluster.size} revealed ${cluster.size === 1 ? 'hex' : 'hexes'}`);
+        }
+        if (neighbors.some(neighbor => neighbor !== 0 && neighbor !== cell)) lines.push('On the boundary');
+    }
+
+    const pocket = replayIndex === null ? pocketIndexAt(q, r) : -1;
+    if (pocket >= 0) {
+        const size = pockets[pocket].size;
+        lines.push(`In pocket #${pocket + 1} (${size} ${size === 1 ? 'hex' : 'hexes'})`);
+    }
+    return lines;
+}
+
+// Redraws the tooltip for the current board; called after every render
+function updateInspector() {
+    if (!inspectedHex) {
+        inspector.classList.add('hidden');
+        return;
+    }
+    inspector.replaceChildren(...inspectorLines(inspectedHex.q, inspectedHex.r).map(line => {
+        const row = document.createElement('div');
+        row.textContent = line;
+        return row;
+    }));
+    inspector.classList.remove('hidden');
+    // Flipped to the pointer's other side where it would run off the window
+    const left = inspectorPoint.x + INSPECTOR_OFFSET;
+    const top = inspectorPoint.y + INSPECTOR_OFFSET;
+    inspector.style.left = `${left + inspector.offsetWidth > window.innerWidth ? inspectorPoint.x - INSPECTOR_OFFSET - inspector.offsetWidth : left}px`;
+    inspector.style.top = `${top + inspector.offsetHeight > window.innerHeight ? inspectorPoint.y - INSPECTOR_OFFSET - inspector.offsetHeight : top}px`;
+}
+
+// Picks the cell under the pointer (see pixelToAxial); hex null hides the tooltip
+function inspectAt(hex, x, y) {
+    inspectedHex = hex;
+    inspectorPoint = { x, y };
+    updateInspector();
+}
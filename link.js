@@ -0,0 +1,139 @@
+// Deep links: the experiment's configuration lives in the URL hash, e.g.
+//   #mode=escape&lattice=hex&percolation=site&algorithm=bfs&strategy=outermost&seed=42&p=0.5&dist=10000&start=3,-1&zoom=1&pan=0,0&speed=2
+// Changing a setting pushes a history entry, so Back/Forward step through configurations;
+// panning, zooming, the speed and the seed a run picked only replace the current entry's hash,
+// so a batch does not leave an entry per trial. A custom strategy's
+// comparator is code, so it is never put in a link: opening one keeps the comparator typed here
+
+const HASH_UPDATE_DELAY = 250;  // ms; a drag renders every frame but writes the hash once it settles
+const GAME_MODES = ['escape', 'hexvshex'];
+
+let hashUpdateTimer = null;
+let lastHash = null;      // Hash last written or applied
+let lastSettings = null;  // Its settings part without a run's seed, see settingsParams
+
+// The seed typed in, or failing that the last run's, so the link reproduces what is on screen
+function linkSeed() {
+    const typed = seedInput.value.trim();
+    if (typed !== '') return typed;
+    return currentSeed === null ? '' : `${currentSeed}`;
+}
+
+// withRunSeed false leaves out a seed the last run picked, keeping only the settings chosen here
+function settingsParams(withRunSeed = true) {
+    const params = new URLSearchParams();
+    params.set('mode', gameMode);
+    params.set('lattice', latticeType);
+    params.set('percolation', percolationType);
+    params.set('algorithm', escapeAlgorithm);
+    params.set('strategy', frontierStrategy);
+    const seed = withRunSeed ? linkSeed() : seedInput.value.trim();
+    if (seed !== '') params.set('seed', seed);
+    params.set('p', probabilityInput.value);
+    params.set('dist', distanceInput.value);
+    if (startHex) params.set('start', `${startHex.q},${startHex.r}`);
+    return params;
+}
+
+function viewParams() {
+    const params = new URLSearchParams();
+    params.set('zoom', +zoomLevel.toFixed(4));
+    params.set('pan', `${Math.round(panOffset.x)},${Math.round(panOffset.y)}`);
+    params.set('speed', speedSlider.value);
+    return params;
+}
+
+function writeLocationHash() {
+    hashUpdateTimer = null;
+    const hash = `#${settingsParams().toString()}&${viewParams().toString()}`;
+    if (hash === lastHash) return;
+    const settings = settingsParams(false).toString();
+    if (lastSettings !== null && settings !== lastSettings) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+    lastHash = hash;
+    lastSettings = settings;
+}
+
+// Called after anything the link records may have changed
+function scheduleHashUpdate() {
+    if (hashUpdateTimer === null) hashUpdateTimer = setTimeout(writeLocationHash, HASH_UPDATE_DELAY);
+}
+
+// "a,b" as two numbers, or null
+function parsePair(text) {
+    const parts = (text ?? '').split(',').map(Number);
+    return parts.length === 2 && parts.every(Number.isFinite) ? parts : null;
+}
+
+// Restores the configuration in the hash; values that are missing or invalid keep their
+// current setting. A new configuration resets the board, a new view only moves it
+function applyLocationHash() {
+    if (location.hash === lastHash) return;
+    if (hashUpdateTimer !== null) {
+        clearTimeout(hashUpdateTimer);
+        hashUpdateTimer = null;
+    }
+    const params = new URLSearchParams(location.hash.slice(1));
+    const pick = (name, allowed, current) => allowed.includes(params.get(name)) ? params.get(name) : current;
+
+    const mode = pick('mode', GAME_MODES, gameMode);
+    const type = pick('lattice', Object.keys(LATTICES), latticeType);
+    const percolation = pick('percolation', PERCOLATION_TYPES, percolationType);
+    const algorithm = pick('algorithm', ESCAPE_ALGORITHMS, escapeAlgorithm);
+    const strategy = pick('strategy', Object.keys(FRONTIER_STRATEGIES), frontierStrategy);
+    const start = parsePair(params.get('start'));
+
+    const unchanged = mode === gameMode && type === latticeType && percolation === percolationType &&
+        algorithm === escapeAlgorithm && strategy === frontierStrategy &&
+        (!params.has('seed') || params.get('seed') === linkSeed()) &&
+        (!params.has('p') || params.get('p') === probabilityInput.value) &&
+        (!params.has('dist') || params.get('dist') === distanceInput.value) &&
+        (start ? startHex && start[0] === startHex.q && start[1] === startHex.r : !startHex);
+
+    if (!unchanged) {
+        gameMode = mode;
+        modeSelect.value = mode;
+        reset();
+        const previousLattice = latticeType;
+        setLattice(type);  // Hex vs Hex links always land on the hexagonal lattice
+        if (latticeType !== previousLattice) discardPaint();
+        setPercolation(percolation);
+        setAlgorithm(algorithm);
+        setStrategy(strategy);
+        seedInput.value = params.get('seed') ?? '';
+        if (params.has('p')) {
+            probabilityInput.value = params.get('p');
+            occupationProbability = resolveProbability();
+        }
+        if (params.has('dist')) {
+            distanceInput.value = params.get('dist');
+            escapeDistance = resolveEscapeDistance();
+        }
+        if (start) chooseStartHex({ q: start[0], r: start[1] });
+    }
+
+    const speed = parseFloat(params.get('speed'));
+    if (Number.isFinite(speed)) {
+        speedSlider.value = speed;
+        updateSpeedFromSlider(parseFloat(speedSlider.value));
+    }
+    const pan = parsePair(params.get('pan'));
+    if (pan) panOffset = { x: pan[0], y: pan[1] };
+    const zoom = parseFloat(params.get('zoom'));
+    setZoom(Number.isFinite(zoom) ? zoom : zoomLevel);
+
+    // Record the restored state as it will be written, so restoring it pushes nothing
+    if (hashUpdateTimer !== null) {
+        clearTimeout(hashUpdateTimer);
+        hashUpdateTimer = null;
+    }
+    lastSettings = settingsParams(false).toString();
+    lastHash = location.hash;
+}
+
+// Back/Forward fire popstate, typing a new hash fires both; applyLocationHash skips repeats
+window.addEventListener('popstate', applyLocationHash);
+window.addEventListener('hashchange', applyLocationHash);
@@ -0,0 +1,104 @@
+// Minimap: the whole revealed board in miniature, with the canvas's viewport outlined
+// Cells are plotted into a cached image that only grows: the map's extent doubles when the
+// board outgrows it, so a running check adds pixels instead of redrawing every cell
+
+const minimapCanvas = document.getElementById('minimap');
+const minimapCtx = minimapCanvas.getContext('2d');
+
+const MINIMAP_MARGIN = 4;          // Pixels left clear around the board
+const MINIMAP_MAX_SCALE = 8;       // Pixels per cell width, so small boards stay small
+const MINIMAP_WHITE = 0xffffffff;  // ImageData pixels are little-endian ABGR
+const MINIMAP_BLACK = 0xff403333;
+
+let minimapImage = minimapCtx.createImageData(minimapCanvas.width, minimapCanvas.height);
+let minimapPixels = new Uint32Array(minimapImage.data.buffer);
+let minimapView = null;  // {x, y, scale}: board point (cell widths) at the map's center, pixels per cell width
+let minimapPlotted = 0;  // Number of hexInstances plotted into minimapImage
+
+function resetMinimap() {
+    minimapView = null;
+    minimapPlotted = 0;
+    minimapPixels.fill(0);
+}
+
+function minimapPoint(x, y) {
+    return {
+        x: minimapCanvas.width / 2 + (x - minimapView.x) * minimapView.scale,
+        y: minimapCanvas.height / 2 + (y - minimapView.y) * minimapView.scale
+    };
+}
+
+function minimapFits(bounds) {
+    const low = minimapPoint(bounds.minX, bounds.minY);
+    const high = minimapPoint(bounds.maxX, bounds.maxY);
+    return low.x >= MINIMAP_MARGIN && low.y >= MINIMAP_MARGIN &&
+        high.x <= minimapCanvas.width - MINIMAP_MARGIN && high.y <= minimapCanvas.height - MINIMAP_MARGIN;
+}
+
+// Twice the board's span, so it can grow a while before the next replot
+function frameMinimap(bounds) {
+    const span = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1) * 2;
+    const room = Math.min(minimapCanvas.width, minimapCanvas.height) - MINIMAP_MARGIN * 2;
+    minimapView = {
+        x: (bounds.minX + bounds.maxX) / 2,
+        y: (bounds.minY + bounds.maxY) / 2,
+        scale: Math.min(MINIMAP_MAX_SCALE, room / span)
+    };
+    minimapPlotted = 0;
+    minimapPixels.fill(0);
+}
+
+function plotMinimapCells() {
+    const size = Math.max(1, Math.floor(minimapView.scale));
+    const width = minimapCanvas.width;
+    const height = minimapCanvas.height;
+    for (; minimapPlotted < hexInstances.length; minimapPlotted++) {
+        const center = lattice.center(hexInstances.q(minimapPlotted), hexInstances.r(minimapPlotted));
+        const point = minimapPoint(center.x, center.y);
+        const x0 = Math.round(point.x - size / 2);
+        const y0 = Math.round(point.y - size / 2);
+        const pixel = hexInstances.color(minimapPlotted) ? MINIMAP_WHITE : MINIMAP_BLACK;
+        for (let y = Math.max(0, y0); y < Math.min(height, y0 + size); y++) {
+            for (let x = Math.max(0, x0); x < Math.min(width, x0 + size); x++) {
+                minimapPixels[y * width + x] = pixel;
+            }
+        }
+    }
+}
+
+// The minimap shows the finished board during a replay, with the viewport over it
+function drawMinimap() {
+    minimapCtx.clearRect(0, 0, minimapCanvas.width, minimapCanvas.height);
+    if (!boardBounds) return;
+    if (!minimapView || !minimapFits(boardBounds)) frameMinimap(boardBounds);
+    plotMinimapCells();
+    minimapCtx.putImageData(minimapImage, 0, 0);
+
+    const width = getHexWidth();
+    const low = minimapPoint((-canvas.width / 2 - panOffset.x) / width, (-canvas.height / 2 - panOffset.y) / width);
+    const high = minimapPoint((canvas.width / 2 - panOffset.x) / width, (canvas.height / 2 - panOffset.y) / width);
+    minimapCtx.strokeStyle = '#6a6aff';
+    minimapCtx.lineWidth = 1;
+    minimapCtx.strokeRect(low.x + 0.5, low.y + 0.5, high.x - low.x, high.y - low.y);
+}
+
+// Clicking (or dragging across) the minimap centers the view on that point
+function centerOnMinimap(e) {
+    if (!minimapView) return;
+    const rect = minimapCanvas.getBoundingClientRect();
+    const x = minimapView.x + (e.clientX - rect.left - minimapCanvas.width / 2) / minimapView.scale;
+    const y = minimapView.y + (e.clientY - rect.top - minimapCanvas.height / 2) / minimapView.scale;
+    const width = getHexWidth();
+    panOffset = { x: -x * width, y: -y * width };
+    render();
+}
+
+minimapCanvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    minimapCanvas.setPointerCapture(e.pointerId);
+    centerOnMinimap(e);
+});
+
+minimapCanvas.addEventListener('pointermove', (e) => {
+    if (minimapCanvas.hasPointerCapture(e.pointerId)) centerOnMinimap(e);
+});
@@ -0,0 +1,233 @@
+// Paint mode: hand-made board configurations
+// Painted hexes keep their color when a run reveals them (see getHexColor in sim.js), so
+// rings, bottlenecks and near-misses can be set up around the start hex. Each brush stroke
+// or fill is one edit on the undo stack; a stroke interrupted by a pinch is taken back.
+
+const editBtn = document.getElementById('editBtn');
+const editBar = document.getElementById('edit-bar');
+const paintColorSelect = document.getElementById('paintColorSelect');
+const paintToolSelect = document.getElementById('paintToolSelect');
+const brushSizeInput = document.getElementById('brushSizeInput');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const clearPaintBtn = document.getElementById('clearPaintBtn');
+
+const PAINT_COLORS = { white: CELL_WHITE, black: CELL_BLACK, erase: 0 };
+const MAX_FILL_CELLS = 100000;  // A fill spreading further is taken to be unbounded
+
+let editMode = false;
+let painted = createCellGrid();  // CELL_WHITE or CELL_BLACK per painted hex
+let paintedCount = 0;
+let undoStack = [];       // Edits, each a list of {q, r, before, after}
+let redoStack = [];
+let currentStroke = null; // Changes made so far, while the brush is down
+
+// CELL_WHITE, CELL_BLACK or 0 for an unpainted hex
+function getPaint(q, r) {
+    return painted.get(q, r);
+}
+
+function setPaint(q, r, color) {
+    paintedCount += (color !== 0) - (painted.get(q, r) !== 0);
+    painted.set(q, r, color);
+}
+
+// Flat q, r, color list (1 white, 0 black) for the simulation
+function paintedCells() {
+    const cells = [];
+    painted.forEach((q, r, color) => cells.push(q, r, color === CELL_WHITE ? 1 : 0));
+    return cells;
+}
+
+// Painting is for site percolation, and only between runs
+function canPaint() {
+    return editMode && !isRunning && percolationType === 'site';
+}
+
+// The hexes within size - 1 steps of (q, r)
+function brushCells(q, r, size) {
+    const cells = [q, r];
+    const seen = createCellGrid();
+    seen.set(q, r, 1);
+    let layerStart = 0;
+    for (let step = 1; step < size; step++) {
+        const layerEnd = cells.length;
+        for (let i = layerStart; i < layerEnd; i += 2) {
+            for (const [dq, dr] of lattice.neighbors(cells[i], cells[i + 1])) {
+                const nq = cells[i] + dq;
+                const nr = cells[i + 1] + dr;
+                if (seen.get(nq, nr)) continue;
+                seen.set(nq, nr, 1);
+                cells.push(nq, nr);
+            }
+        }
+        layerStart = layerEnd;
+    }
+    return cells;
+}
+
+function resolveBrushSize() {
+    const size = parseInt(brushSizeInput.value, 10);
+    const clamped = Number.isFinite(size) ? Math.max(1, Math.min(20, size)) : 1;
+    brushSizeInput.value = clamped;
+    return clamped;
+}
+
+// Applies changes in order (or undoes them in reverse) and redraws the paint
+function applyEdit(changes, undo) {
+    const ordered = undo ? [...changes].reverse() : changes;
+    for (const change of ordered) {
+        setPaint(change.q, change.r, undo ? change.before : change.after);
+    }
+    paintChanged();
+}
+
+function pushEdit(changes) {
+    if (changes.length === 0) return;
+    undoStack.push(changes);
+    redoStack = [];
+    updateEditButtons();
+}
+
+function beginStroke(hex) {
+    currentStroke = [];
+    continueStroke(hex);
+}
+
+// Paints the brush around hex; the stroke's color is fixed, so each hex changes at most once
+function continueStroke(hex) {
+    const color = PAINT_COLORS[paintColorSelect.value];
+    const cells = brushCells(hex.q, hex.r, resolveBrushSize());
+    const changes = [];
+    for (let i = 0; i < cells.length; i += 2) {
+        const q = cells[i];
+        const r = cells[i + 1];
+        const before = getPaint(q, r);
+        if (before === color) continue;
+        changes.push({ q, r, before, after: color });
+    }
+    if (changes.length > 0) applyEdit(changes, false);
+    currentStroke.push(...changes);
+}
+
+function endStroke() {
+    const changes = currentStroke;
+    currentStroke = null;
+    pushEdit(changes);
+}
+
+// Takes back the stroke's paint without leaving an edit behind
+function cancelStroke() {
+    const changes = currentStroke;
+    currentStroke = null;
+    if (changes.length > 0) applyEdit(changes, true);
+}
+
+// Repaints the region around hex that shares its paint (neighbors only). An unpainted
+// region must be enclosed by paint; returns false, changing nothing, when it is not
+function fillAt(hex) {
+    const color = PAINT_COLORS[paintColorSelect.value];
+    const target = getPaint(hex.q, hex.r);
+    if (target === color) return true;
+
+    const cells = [hex.q, hex.r];
+    const seen = createCellGrid();
+    seen.set(hex.q, hex.r, 1);
+    for (let i = 0; i < cells.length; i += 2) {
+        if (cells.length / 2 > MAX_FILL_CELLS) return false;
+        for (const [dq, dr] of lattice.neighbors(cells[i], cells[i + 1])) {
+            const nq = cells[i] + dq;
+            const nr = cells[i + 1] + dr;
+            if (seen.get(nq, nr) || getPaint(nq, nr) !== target) continue;
+            seen.set(nq, nr, 1);
+            cells.push(nq, nr);
+        }
+    }
+
+    const changes = [];
+    for (let i = 0; i < cells.length; i += 2) {
+        changes.push({ q: cells[i], r: cells[i + 1], before: target, after: color });
+    }
+    applyEdit(changes, false);
+    pushEdit(changes);
+    return true;
+}
+
+// Called on a primary-button press over hex; true if paint mode took it
+function paintPress(hex) {
+    if (!canPaint()) return false;
+    if (paintToolSelect.value === 'fill') {
+        if (!fillAt(hex)) {
+            statusDiv.textContent = 'Fill region is not enclosed by paint';
+            statusDiv.className = 'encircled';
+        }
+    } else {
+        beginStroke(hex);
+    }
+    return true;
+}
+
+function undoPaint() {
+    if (!canPaint() || undoStack.length === 0) return;
+    const changes = undoStack.pop();
+    applyEdit(changes, true);
+    redoStack.push(changes);
+    updateEditButtons();
+}
+
+function redoPaint() {
+    if (!canPaint() || redoStack.length === 0) return;
+    const changes = redoStack.pop();
+    applyEdit(changes, false);
+    undoStack.push(changes);
+    updateEditButtons();
+}
+
+// Erasing everything is an edit like any other, so it can be undone
+function clearPaint() {
+    if (!canPaint()) return;
+    const changes = [];
+    painted.forEach((q, r, color) => changes.push({ q, r, before: color, after: 0 }));
+    applyEdit(changes, false);
+    pushEdit(changes);
+}
+
+// Paint means nothing on another lattice: drops it along with its history
+function discardPaint() {
+    replacePaint([]);
+}
+
+// Swaps in a flat q, r, color list as paintedCells gives it, with a fresh history
+function replacePaint(cells) {
+    painted = createCellGrid();
+    paintedCount = 0;
+    for (let i = 0; i < cells.length; i += 3) {
+        setPaint(cells[i], cells[i + 1], cells[i + 2] === 1 ? CELL_WHITE : CELL_BLACK);
+    }
+    undoStack = [];
+    redoStack = [];
+    currentStroke = null;
+    paintChanged();
+    updateEditButtons();
+}
+
+function updateEditButtons() {
+    const enabled = !isRunning && percolationType === 'site';
+    editBtn.disabled = !enabled;
+    undoBtn.disabled = !enabled || undoStack.length === 0;
+    redoBtn.disabled = !enabled || redoStack.length === 0;
+    clearPaintBtn.disabled = !enabled || paintedCount === 0;
+}
+
+function setEditMode(enabled) {
+    editMode = enabled;
+    editBtn.classList.toggle('active', enabled);
+    editBar.classList.toggle('hidden', !enabled);
+    canvas.classList.toggle('painting', enabled);
+    updateEditButtons();
+}
+
+editBtn.addEventListener('click', () => setEditMode(!editMode));
+undoBtn.addEventListener('click', undoPaint);
+redoBtn.addEventListener('click', redoPaint);
+clearPaintBtn.addEventListener('click', clearPaint);
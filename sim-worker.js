@@ -0,0 +1,6 @@
+// Simulation worker: runs the engine from sim.js off the main thread
+importScripts('sim.js');
+
+const simulation = createSimulation((message, transfer) => postMessage(message, transfer));
+onmessage = (e) => simulation.handleMessage(e.data);
+postMessage({ type: 'ready' });
@@ -0,0 +1,1579 @@
+// Simulation core shared by the page (hex.js) and the simulation worker (sim-worker.js)
+// Lattice helpers live at the top level; createSimulation() owns a board and runs the checks
+
+// Neighbor offsets, counter-clockwise on screen starting East
+const NEIGHBOR_OFFSETS = [
+    [1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]
+];
+
+// Board storage
+// Cells live in 64x64 chunks of typed arrays, found through a Map keyed by chunk
+// coordinates, so memory grows with the area actually touched. Coordinates may be
+// any 32-bit integers, the range the worker protocol carries.
+const CHUNK_BITS = 6;
+const CHUNK_SIZE = 1 << CHUNK_BITS;
+const CHUNK_MASK = CHUNK_SIZE - 1;
+const CHUNK_ROWS = 2 ** (32 - CHUNK_BITS);  // Distinct chunk r values
+
+function chunkKey(q, r) {
+    return (q >> CHUNK_BITS) * CHUNK_ROWS + (r >> CHUNK_BITS);
+}
+
+// Small integer per cell, 0 for cells never set
+function createCellGrid(ArrayType = Uint8Array) {
+    const chunks = new Map();
+    const origins = new Map();  // Chunk key -> [q, r] of its first cell, for forEach
+    let lastKey = null;   // Consecutive lookups mostly hit the same chunk
+    let lastChunk = null;
+
+    function chunkAt(q, r, create) {
+        const key = chunkKey(q, r);
+        if (key === lastKey) return lastChunk;
+        let chunk = chunks.get(key);
+        if (!chunk) {
+            if (!create) return null;
+            chunk = new ArrayType(CHUNK_SIZE * CHUNK_SIZE);
+            chunks.set(key, chunk);
+            origins.set(key, [q & ~CHUNK_MASK, r & ~CHUNK_MASK]);
+        }
+        lastKey = key;
+        lastChunk = chunk;
+        return chunk;
+    }
+
+    const offset = (q, r) => ((r & CHUNK_MASK) << CHUNK_BITS) | (q & CHUNK_MASK);
+
+    return {
+        get(q, r) {
+            const chunk = chunkAt(q, r, false);
+            return chunk ? chunk[offset(q, r)] : 0;
+        },
+        set(q, r, value) {
+            chunkAt(q, r, true)[offset(q, r)] = value;
+        },
+        // Calls fn(q, r, value) for each cell whose value is not 0, chunk by chunk
+        forEach(fn) {
+            for (const [key, chunk] of chunks) {
+                const [q0, r0] = origins.get(key);
+                for (let i = 0; i < chunk.length; i++) {
+                    if (chunk[i] !== 0) fn(q0 + (i & CHUNK_MASK), r0 + (i >> CHUNK_BITS), chunk[i]);
+                }
+            }
+        }
+    };
+}
+
+// Growable list of cells as q, r pairs in an Int32Array
+function createCellList() {
+    let coords = new Int32Array(2048);
+    let length = 0;
+
+    return {
+        get length() {
+            return length;
+        },
+        push(q, r) {
+            if (length * 2 === coords.length) {
+                const grown = new Int32Array(coords.length * 2);
+                grown.set(coords);
+                coords = grown;
+            }
+            coords[length * 2] = q;
+            coords[length * 2 + 1] = r;
+            length++;
+        },
+        q: i => coords[i * 2],
+        r: i => coords[i * 2 + 1]
+    };
+}
+
+// Revealed cells in reveal order as flat q, r, color, depth quadruples in an Int32Array (color
+// 1 white, 0 black; depth -1 outside escape runs), the layout the worker protocol carries
+function createRevealLog() {
+    let cells = new Int32Array(4096);
+    let length = 0;
+
+    return {
+        get length() {
+            return length;
+        },
+        push(q, r, color, depth) {
+            if (length * 4 === cells.length) {
+                const grown = new Int32Array(cells.length * 2);
+                grown.set(cells);
+                cells = grown;
+            }
+            const i = length * 4;
+            cells[i] = q;
+            cells[i + 1] = r;
+            cells[i + 2] = color;
+            cells[i + 3] = depth;
+            length++;
+        },
+        q: i => cells[i * 4],
+        r: i => cells[i * 4 + 1],
+        color: i => cells[i * 4 + 2],
+        depth: i => cells[i * 4 + 3],
+        // A copy of the quadruples so far
+        cells: () => cells.slice(0, length * 4)
+    };
+}
+
+// FIFO of cells as q, r pairs in a ring buffer, so a flood holds its frontier rather than
+// every cell it has passed
+function createCellQueue() {
+    let coords = new Int32Array(2048);
+    let head = 0;    // Index of the first cell's q
+    let length = 0;
+
+    return {
+        get length() {
+            return length;
+        },
+        push(q, r) {
+            if (length * 2 === coords.length) {
+                const grown = new Int32Array(coords.length * 2);
+                grown.set(coords.subarray(head));
+                grown.set(coords.subarray(0, head), coords.length - head);
+                coords = grown;
+                head = 0;
+            }
+            const tail = (head + length * 2) % coords.length;
+            coords[tail] = q;
+            coords[tail + 1] = r;
+            length++;
+        },
+        // The first cell, then shift() drops it
+        firstQ: () => coords[head],
+        firstR: () => coords[head + 1],
+        shift() {
+            head = (head + 2) % coords.length;
+            length--;
+        }
+    };
+}
+
+// Revealed cells: a color per cell (true = white) plus the order they were revealed in
+const CELL_BLACK = 1;
+const CELL_WHITE = 2;
+
+function createBoardStore() {
+    const colors = createCellGrid();
+    const order = createCellList();
+    let depths = new Int32Array(1024);  // BFS depth per cell in reveal order, -1 if none
+
+    return {
+        get size() {
+            return order.length;
+        },
+        // true (white), false (black), or undefined if not revealed
+        get(q, r) {
+            const value = colors.get(q, r);
+            return value === 0 ? undefined : value === CELL_WHITE;
+        },
+        has(q, r) {
+            return colors.get(q, r) !== 0;
+        },
+        // Returns whether the cell was newly revealed; a recolored cell keeps its depth
+        set(q, r, isWhite, depth = -1) {
+            const isNew = colors.get(q, r) === 0;
+            colors.set(q, r, isWhite ? CELL_WHITE : CELL_BLACK);
+            if (isNew) {
+                if (order.length === depths.length) {
+                    const grown = new Int32Array(depths.length * 2);
+                    grown.set(depths);
+                    depths = grown;
+                }
+                depths[order.length] = depth;
+                order.push(q, r);
+            }
+            return isNew;
+        },
+        // Calls fn(q, r, isWhite, depth) for each cell in reveal order
+        forEach(fn) {
+            for (let i = 0; i < order.length; i++) {
+                const q = order.q(i);
+                const r = order.r(i);
+                fn(q, r, colors.get(q, r) === CELL_WHITE, depths[i]);
+            }
+        }
+    };
+}
+
+// Seeded randomness
+// A hex's color is a pure function of (seed, q, r), so a run replays exactly
+// regardless of the order in which the algorithm reveals hexes
+function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+function seededRandom(seed, q, r) {
+    let h = mix32(seed ^ 0x9e3779b9);
+    h = mix32(h ^ q);
+    h = mix32(h ^ Math.imul(r, 0x9e3779b1));
+    return h / 4294967296;
+}
+
+// Bond percolation draws from its own stream, so a bond doesn't repeat the
+// color its end hex would get under the same seed
+function bondSeed(seed) {
+    return mix32(seed ^ 0x5851f42d);
+}
+
+// ...and so does the random frontier order, so it doesn't follow the colors
+function frontierSeed(seed) {
+    return mix32(seed ^ 0x2545f491);
+}
+
+// Calculate hex distance from origin (in hex steps)
+function hexDist(q, r) {
+    return (Math.abs(q) + Math.abs(r) + Math.abs(-q - r)) / 2;
+}
+
+function axialRound(q, r) {
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    let rs = Math.round(s);
+
+    const qDiff = Math.abs(rq - q);
+    const rDiff = Math.abs(rr - r);
+    const sDiff = Math.abs(rs - s);
+
+    if (qDiff > rDiff && qDiff > sDiff) {
+        rq = -rr - rs;
+    } else if (rDiff > sDiff) {
+        rr = -rq - rs;
+    }
+
+    return { q: rq, r: rr };
+}
+
+// Lattices
+// Every cell is an integer (q, r) pair. A lattice supplies:
+//   neighbors(q, r)  offsets of the adjacent cells, counter-clockwise on screen
+//   touching(q, r)   offsets of every cell sharing an edge or a corner (the matching lattice)
+//   distance(q, r, fromQ, fromR)  steps from cell (fromQ, fromR), the origin if omitted
+//   center(q, r)     cell center in units of the cell width, y pointing down
+//   edgeLattice      where neighbors include cells meeting only at a corner, the key of the
+//                    lattice with the same cells joined along their edges alone
+//   pick(x, y)       the cell containing a point given in the same units
+//   outline          polygon around the center of an upright cell, for rendering
+//   shader           lattice id understood by the vertex shader
+const SQRT3 = Math.sqrt(3);
+
+const SQUARE4_OFFSETS = [[1, 0], [0, -1], [-1, 0], [0, 1]];
+const SQUARE8_OFFSETS = [[1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1], [0, 1], [1, 1]];
+const SQUARE_TOUCHING = SQUARE8_OFFSETS;
+const SQUARE_OUTLINE = [[0.5, -0.5], [-0.5, -0.5], [-0.5, 0.5], [0.5, 0.5]];
+
+// Triangles alternate along a row: (q + r) even points up (apex on top, neighbor below),
+// odd points down. Columns are half a side apart, sides are 2 cell widths long.
+const TRIANGLE_UP_OFFSETS = [[1, 0], [-1, 0], [0, 1]];
+const TRIANGLE_DOWN_OFFSETS = [[1, 0], [0, -1], [-1, 0]];
+
+// Three cells around the apex, four along the row, five along the base
+const TRIANGLE_UP_TOUCHING = [
+    [-1, -1], [0, -1], [1, -1],
+    [-2, 0], [-1, 0], [1, 0], [2, 0],
+    [-2, 1], [-1, 1], [0, 1], [1, 1], [2, 1]
+];
+const TRIANGLE_DOWN_TOUCHING = TRIANGLE_UP_TOUCHING.map(([dq, dr]) => [dq, -dr]);
+
+function isUpTriangle(q, r) {
+    return ((q + r) & 1) === 0;
+}
+
+// Triangle distance counts the edge lines crossed in each of the three directions. A
+// translation can flip which way a triangle points, so it compares both cells' lines
+// rather than taking the offset between them
+function triangleDist(q, r, fromQ = 0, fromR = 0) {
+    const k = isUpTriangle(q, r) ? 2 / 3 : 1 / 3;
+    const fromK = isUpTriangle(fromQ, fromR) ? 2 / 3 : 1 / 3;
+    const b = Math.floor((q - r - k) / 2) - Math.floor((fromQ - fromR - fromK) / 2);
+    const c = Math.floor((q + r + k) / 2) - Math.floor((fromQ + fromR + fromK) / 2);
+    return Math.abs(r - fromR) + Math.abs(b) + Math.abs(c);
+}
+
+const LATTICES = {
+    hex: {
+        label: 'Hexagonal',
+        shortLabel: 'Hex',
+        shader: 0,
+        neighbors: () => NEIGHBOR_OFFSETS,
+        touching: () => NEIGHBOR_OFFSETS,
+        distance: (q, r, fromQ = 0, fromR = 0) => hexDist(q - fromQ, r - fromR),
+        center: (q, r) => ({ x: q + r / 2, y: r * SQRT3 / 2 }),
+        pick: (x, y) => axialRound(x - y / SQRT3, 2 * y / SQRT3),
+        // Pointy-top hexagon with circumradius 1 / sqrt(3)
+        outline: [0, 1, 2, 3, 4, 5].map(i => {
+            const angle = Math.PI / 180 * (60 * i - 30);
+            return [Math.cos(angle) / SQRT3, Math.sin(angle) / SQRT3];
+        })
+    },
+    square4: {
+        label: 'Square (4 neighbors)',
+        shortLabel: 'Sq4',
+        shader: 1,
+        neighbors: () => SQUARE4_OFFSETS,
+        touching: () => SQUARE_TOUCHING,
+        distance: (q, r, fromQ = 0, fromR = 0) => Math.abs(q - fromQ) + Math.abs(r - fromR),
+        center: (q, r) => ({ x: q, y: r }),
+        pick: (x, y) => ({ q: Math.round(x), r: Math.round(y) }),
+        outline: SQUARE_OUTLINE
+    },
+    square8: {
+        label: 'Square (8 neighbors)',
+        shortLabel: 'Sq8',
+        shader: 1,
+        neighbors: () => SQUARE8_OFFSETS,
+        touching: () => SQUARE_TOUCHING,
+        edgeLattice: 'square4',
+        distance: (q, r, fromQ = 0, fromR = 0) => Math.max(Math.abs(q - fromQ), Math.abs(r - fromR)),
+        center: (q, r) => ({ x: q, y: r }),
+        pick: (x, y) => ({ q: Math.round(x), r: Math.round(y) }),
+        outline: SQUARE_OUTLINE
+    },
+    triangle: {
+        label: 'Triangular',
+        shortLabel: 'Tri',
+        shader: 2,
+        neighbors: (q, r) => (isUpTriangle(q, r) ? TRIANGLE_UP_OFFSETS : TRIANGLE_DOWN_OFFSETS),
+        touching: (q, r) => (isUpTriangle(q, r) ? TRIANGLE_UP_TOUCHING : TRIANGLE_DOWN_TOUCHING),
+        distance: triangleDist,
+        center: (q, r) => ({ x: q, y: r * SQRT3 + (isUpTriangle(q, r) ? 2 : 1) * SQRT3 / 3 }),
+        pick(x, y) {
+            // Row, then the two slanted edge lines on either side of the point
+            const r = Math.floor(y / SQRT3);
+            const b = Math.floor((x - y / SQRT3) / 2);
+            const c = Math.floor((x + y / SQRT3) / 2);
+            return { q: b + c + 1, r };
+        },
+        // Up-pointing; the shader mirrors it vertically for down-pointing cells
+        outline: [[0, -2 * SQRT3 / 3], [-1, SQRT3 / 3], [1, SQRT3 / 3]]
+    }
+};
+
+// Calculate clockwise angle from East (0 to 2π), around the origin cell's center
+function clockwiseAngle(lattice, q, r) {
+    const center = lattice.center(q, r);
+    const origin = lattice.center(0, 0);
+    const x = center.x - origin.x;
+    const y = center.y - origin.y;
+    // atan2 gives counter-clockwise from East, we want clockwise
+    const ccw = Math.atan2(y, x);
+    return (2 * Math.PI - ccw + 2 * Math.PI) % (2 * Math.PI);
+}
+
+// Frontier order: outermost, then clockwise-most
+// Entries are {q, r, dist, angle, random} with everything computed once; random is
+// uniform in [0, 1), drawn from the seed
+function frontierBefore(a, b) {
+    return a.dist > b.dist || (a.dist === b.dist && a.angle > b.angle);
+}
+
+// Hex vs Hex frontier strategies: the order the boundary hexes are colored in
+// before(a, b) is whether entry a goes first; alternating takes turns between the
+// hexes white's and black's moves opened, each side in before order
+const FRONTIER_STRATEGIES = {
+    outermost: { label: 'Outermost, clockwise', shortLabel: 'out', before: frontierBefore },
+    random: { label: 'Uniformly random', shortLabel: 'rand', before: (a, b) => a.random < b.random },
+    innermost: {
+        label: 'Innermost, clockwise',
+        shortLabel: 'in',
+        before: (a, b) => a.dist < b.dist || (a.dist === b.dist && a.angle > b.angle)
+    },
+    counterclockwise: {
+        label: 'Outermost, counter-clockwise',
+        shortLabel: 'ccw',
+        before: (a, b) => a.dist > b.dist || (a.dist === b.dist && a.angle < b.angle)
+    },
+    alternating: { label: 'Alternating colors', shortLabel: 'alt', before: frontierBefore, alternating: true },
+    custom: { label: 'Custom comparator', shortLabel: 'custom', before: null }
+};
+
+// Compiles a user comparator, e.g. "(a, b) => a.dist - b.dist", into a before function:
+// like Array.prototype.sort's, it returns a negative number when a goes first.
+// Throws if the source isn't a function expression. Only the simulation calls it, so a
+// comparator runs off the page's thread wherever a worker is available
+function compileFrontierComparator(source) {
+    let compare;
+    try {
+        compare = new Function(`"use strict"; return (${source});`)();
+    } catch (e) {
+        throw new Error(`Comparator does not compile: ${e.message}`);
+    }
+    if (typeof compare !== 'function') throw new Error('Comparator must be a function of (a, b)');
+
+    // A comparator that throws mid-battle ends the run (see startSimulation)
+    return (a, b) => {
+        try {
+            return compare(a, b) < 0;
+        } catch (e) {
+            throw new Error(`Comparator failed: ${e.message}`);
+        }
+    };
+}
+
+// Binary heap of frontier entries; pop() returns the first by before(a, b)
+function createFrontierHeap(before) {
+    const items = [];
+
+    return {
+        get size() {
+            return items.length;
+        },
+        push(item) {
+            let i = items.length;
+            items.push(item);
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!before(item, items[parent])) break;
+                items[i] = items[parent];
+                i = parent;
+            }
+            items[i] = item;
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                let i = 0;
+                for (;;) {
+                    let child = i * 2 + 1;
+                    if (child >= items.length) break;
+                    if (child + 1 < items.length && before(items[child + 1], items[child])) child++;
+                    if (!before(items[child], last)) break;
+                    items[i] = items[child];
+                    i = child;
+                }
+                items[i] = last;
+            }
+            return top;
+        }
+    };
+}
+
+// Wall follower: walks the cells where inside(q, r) holds along their boundary with the
+// rest, keeping the rest on its right. It starts at (q, r), which is inside, while its
+// neighbor number dir is not. step() makes one move to a neighboring inside cell, or returns
+// false once the walk has closed (at once for a lone cell).
+//
+// The walk closes when it repeats its second move: where the start cell only meets the wall
+// at a corner, the first move can cut past it onto a loop that never comes back. The loop's
+// winding number around the start's outside neighbor then tells the two sides apart: 0 when
+// the loop went around the inside cells, which are enclosed, and nonzero when it went around
+// the wall, which the inside cells surround.
+function createWallFollower(lattice, inside, q, r, dir) {
+    const [wallDq, wallDr] = lattice.neighbors(q, r)[dir];
+    const wall = lattice.center(q + wallDq, r + wallDr);
+    let wallQ = q + wallDq;  // Last outside cell passed
+    let wallR = r + wallDr;
+    let scan = dir;  // Where the next scan around the current cell begins
+    let point = lattice.center(q, r);
+    let winding = 0;
+    let walking = true;
+    let moves = 0;
+    let loopMove = null;  // The second move, { q, r, dir } of the cell it leaves
+    let lastQ = 0;        // The last move, likewise
+    let lastR = 0;
+    let lastDir = -1;
+
+    return {
+        get q() {
+            return q;
+        },
+        get r() {
+            return r;
+        },
+        get walking() {
+            return walking;
+        },
+        get winding() {
+            return winding;
+        },
+        get loopMove() {
+            return loopMove;
+        },
+        lastMoveWas(move) {
+            return move !== null && move.dir === lastDir && move.q === lastQ && move.r === lastR;
+        },
+
+        step() {
+            if (!walking) return false;
+            const offsets = lattice.neighbors(q, r);
+            let dir = -1;
+            for (let k = 0; k < offsets.length; k++) {
+                const i = (scan + k) % offsets.length;
+                const nq = q + offsets[i][0];
+                const nr = r + offsets[i][1];
+                if (inside(nq, nr)) {
+                    dir = i;
+                    break;
+                }
+                wallQ = nq;
+                wallR = nr;
+            }
+            if (dir < 0 || (loopMove && q === loopMove.q && r === loopMove.r && dir === loopMove.dir)) {
+                walking = false;
+                return false;
+            }
+            lastQ = q;
+            lastR = r;
+            lastDir = dir;
+            if (++moves === 2) loopMove = { q, r, dir };
+
+            const nq = q + offsets[dir][0];
+            const nr = r + offsets[dir][1];
+            const next = lattice.center(nq, nr);
+            // Upward crossings of the wall's row with the wall to their left count +1,
+            // downward ones with it to their right -1
+            if (moves >= 2) {
+                const side = (next.x - point.x) * (wall.y - point.y) - (wall.x - point.x) * (next.y - point.y);
+                if (point.y <= wall.y) {
+                    if (next.y > wall.y && side > 0) winding++;
+                } else if (next.y <= wall.y && side < 0) {
+                    winding--;
+                }
+            }
+
+            // The next scan begins just past the last outside cell passed, as in Moore
+            // tracing, so a diagonal move never cuts the corner of that cell; where it is no
+            // neighbor of the new cell (sides meet at corners), just past the cell we came from
+            const nextOffsets = lattice.neighbors(nq, nr);
+            let resume = -1;
+            let back = -1;
+            for (let i = 0; i < nextOffsets.length; i++) {
+                const oq = nq + nextOffsets[i][0];
+                const or = nr + nextOffsets[i][1];
+                if (oq === wallQ && or === wallR) resume = i;
+                else if (oq === q && or === r) back = i;
+            }
+            scan = (resume >= 0 ? resume : back) + 1;
+            q = nq;
+            r = nr;
+            point = next;
+            return true;
+        }
+    };
+}
+
+// The wall around a finite set: walks just outside the set's outer boundary and keeps the
+// cells where isWall holds, as a flat q, r list in walk order. Rounding a corner the walk can
+// pass cells that only meet the set at that corner, which need not be wall.
+// Where neighbors meet at corners (square8) the walk only moves along edges: a diagonal move
+// would skip the outside cell a flood could take the same diagonal past, or slip between two
+// members that meet at a corner, so the wall it kept would not hold the set in.
+// (q, r) must be the member furthest right; its right neighbor, one unit further right on
+// every lattice, is then outside the set and everything enclosing it
+function traceEnclosingLoop(lattice, inSet, isWall, q, r) {
+    const outside = (nq, nr) => !inSet(nq, nr);
+    const startQ = q + 1;
+    const walkLattice = lattice.edgeLattice ? LATTICES[lattice.edgeLattice] : lattice;
+    const back = walkLattice.neighbors(startQ, r).findIndex(([dq, dr]) => dq === -1 && dr === 0);
+    const walk = createWallFollower(walkLattice, outside, startQ, r, back);
+    const seen = createCellGrid();
+    const loop = [];
+    const keep = (cq, cr) => {
+        if (seen.get(cq, cr) || !isWall(cq, cr)) return;
+        seen.set(cq, cr, 1);
+        loop.push(cq, cr);
+    };
+    keep(startQ, r);
+    while (walk.step()) keep(walk.q, walk.r);
+    return loop;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A run reaching the escape distance from its start is over: the BFS escapes at this depth,
+// the hull walk at this lattice distance, and a Hex vs Hex battle is left unresolved. Start
+// messages may set it; this is the default
+const ESCAPE_DISTANCE = 10000;
+
+// Simulation engine
+// Owns its own board and reports newly colored hexes through post(message, transfer) in batches.
+// Driven by messages: start, pause, resume, step, cancel, speed, pockets, sync
+function createSimulation(post) {
+    let hexColors = createBoardStore();  // true (white) or false (black), in reveal order
+    let pendingCells = [];      // q, r, color, BFS depth quadruples not yet posted (depth -1 outside escape runs)
+    let percolation = 'site';   // 'site' | 'bond' (escape mode only)
+    let bondStates = createCellGrid(Uint16Array);  // Per bond's stored end: bit 2i revealed, bit 2i+1 open
+    let bondLog = [];           // q, r, neighbor index, open, hexes-before quintuples in reveal order
+    let postedBonds = 0;        // Length of bondLog already posted
+    let seed = 0;
+    let occupationProbability = 0.5;
+    let escapeDistance = ESCAPE_DISTANCE;
+    let painted = createCellGrid();  // CELL_WHITE or CELL_BLACK per hand-painted hex (site percolation)
+    let lattice = LATTICES.hex;
+    let speedMultiplier = 1;
+    let streaming = true;
+    let paused = false;
+    let resumeRun = null;
+    let activeToken = null;  // { runId, cancelled } of the run that owns the board
+    let stepUnit = null;    // 'hex' | 'layer' while a single step is in progress
+    let stepLayer = 0;      // Layer the current step started from
+    let currentLayer = 0;   // BFS depth or hull contour in escape mode, outermost distance in Hex vs Hex
+    let frontierStrategy = FRONTIER_STRATEGIES.outermost;  // Hex vs Hex only
+    let frontierOrder = frontierBefore;  // The strategy's before, or the compiled comparator
+    let lastStart = null;   // The start message of the run that owns the board
+    let comparison = null;  // Simulation running the other escape algorithm, see compareAlgorithms
+    let comparisonToken = null;  // {runId, cancelled} of the page's request for it
+
+    const isUntested = (q, r) => !hexColors.has(q, r);
+    const isRevealed = (q, r) => hexColors.has(q, r);
+
+    // Color a hex gets when revealed: its paint, else drawn from the seed
+    function drawColor(q, r) {
+        const paint = painted.get(q, r);
+        return paint ? paint === CELL_WHITE : seededRandom(seed, q, r) < occupationProbability;
+    }
+
+    // Get or assign color to a hex; depth is the BFS depth it is revealed at, if any
+    function getHexColor(q, r, depth = -1) {
+        let color = hexColors.get(q, r);
+        if (color === undefined) {
+            color = drawColor(q, r);
+            setHexColor(q, r, color, depth);
+        }
+        return color;
+    }
+
+    function setHexColor(q, r, isWhite, depth = -1) {
+        if (hexColors.set(q, r, isWhite, depth)) {
+            pendingCells.push(q, r, isWhite ? 1 : 0, depth);
+        }
+    }
+
+    // Get or assign the state of the bond between two neighboring hexes (true = open)
+    // A bond is stored under its end with the smaller (q, r) and that end's neighbor index
+    function getBondOpen(q, r, nq, nr) {
+        if (nq < q || (nq === q && nr < r)) {
+            [q, r, nq, nr] = [nq, nr, q, r];
+        }
+        const index = lattice.neighbors(q, r).findIndex(([dq, dr]) => q + dq === nq && r + dr === nr);
+        const state = bondStates.get(q, r);
+        if (state & (1 << (index * 2))) return (state & (2 << (index * 2))) !== 0;
+
+        const open = seededRandom(bondSeed(seed), q * 8 + index, r) < occupationProbability;
+        bondStates.set(q, r, state | (1 << (index * 2)) | (open ? 2 << (index * 2) : 0));
+        bondLog.push(q, r, index, open ? 1 : 0, hexColors.size);
+        return open;
+    }
+
+    // Post the hexes colored and bonds revealed since the last flush, with optional progress for the status bar
+    function flush(progress) {
+        if (!streaming || (pendingCells.length === 0 && postedBonds === bondLog.length && !progress)) return;
+        const cells = new Int32Array(pendingCells);
+        const bonds = new Int32Array(bondLog.slice(postedBonds));
+        pendingCells = [];
+        postedBonds = bondLog.length;
+        post({ type: 'cells', runId: activeToken.runId, cells, bonds, progress }, [cells.buffer, bonds.buffer]);
+    }
+
+    // Every await in a run is followed by a checkpoint; true means the run was cancelled
+    // and must return without touching the board again
+    async function checkpoint(token) {
+        if (paused && !token.cancelled) {
+            flush();
+            await new Promise(resolve => { resumeRun = resolve; });
+        }
+        return token.cancelled;
+    }
+
+    // Ends a step: pause again and show the board as it stands
+    async function pauseForStep(token, progress) {
+        stepUnit = null;
+        paused = true;
+        flush(progress);
+        return checkpoint(token);
+    }
+
+    function wake() {
+        if (resumeRun) {
+            resumeRun();
+            resumeRun = null;
+        }
+    }
+
+    // BFS encirclement check
+    // With animate = false nothing is streamed and the loop only yields to receive messages
+    async function checkEncirclement(startQ, startR, animate, token) {
+        const BASE_MAX_DELAY = 50;
+        const BASE_MIN_DELAY = 1;
+
+        const visited = createCellGrid();
+        const queue = createCellQueue();
+        queue.push(startQ, startR);
+        let visitedCount = 1;
+        visited.set(startQ, startR, 1);
+
+        // The queue holds one layer and then the next, so a layer's depth follows from its size
+        let dist = 0;
+        let layerLeft = 1;
+        let maxDistReached = 0;
+        let stepCount = 0;
+        let lastRenderTime = performance.now();
+
+        while (queue.length > 0) {
+            if (layerLeft === 0) {
+                dist++;
+                layerLeft = queue.length;
+            }
+            layerLeft--;
+            const q = queue.firstQ();
+            const r = queue.firstR();
+            queue.shift();
+            maxDistReached = dist;
+
+            const exposedCount = queue.length + 1;
+            const isMaxSpeed = speedMultiplier === Infinity || stepUnit !== null;
+            const baseDelay = Math.max(BASE_MIN_DELAY, BASE_MAX_DELAY / Math.sqrt(exposedCount));
+            const delay = isMaxSpeed ? 0 : baseDelay / speedMultiplier;
+
+            // A layer step ends once every hex of the layer it started on has been expanded
+            currentLayer = dist;
+            if (stepUnit === 'layer' && dist > stepLayer) {
+                if (await pauseForStep(token, { distance: dist, frontier: exposedCount, visited: visitedCount })) {
+                    return null;
+                }
+            }
+
+            if (dist >= escapeDistance) {
+                return { escaped: true, distance: dist, hexCount: hexColors.size };
+            }
+
+            for (const [dq, dr] of lattice.neighbors(q, r)) {
+                const nq = q + dq;
+                const nr = r + dr;
+
+                if (visited.get(nq, nr)) continue;
+
+                let isWhite;
+                if (percolation === 'bond') {
+                    // Every hex is occupied and the cluster grows through open bonds only;
+                    // a hex behind a closed bond stays unvisited and may be reached another way
+                    isWhite = getBondOpen(q, r, nq, nr);
+                    if (isWhite) {
+                        visited.set(nq, nr, 1);
+                        visitedCount++;
+                        setHexColor(nq, nr, true, dist + 1);
+                    }
+                } else {
+                    visited.set(nq, nr, 1);
+                    visitedCount++;
+                    isWhite = getHexColor(nq, nr, dist + 1);
+                }
+                stepCount++;
+
+                if (isWhite) queue.push(nq, nr);
+
+                if (stepUnit === 'hex') {
+                    if (await pauseForStep(token, { distance: dist, frontier: exposedCount, visited: visitedCount })) {
+                        return null;
+                    }
+                }
+
+                if (!animate) {
+                    if (stepCount % 1000 === 0) {
+                        const now = performance.now();
+                        if (now - lastRenderTime > 50) {
+                            await sleep(0);
+                            if (await checkpoint(token)) return null;
+                            lastRenderTime = performance.now();
+                        }
+                    }
+                } else if (isMaxSpeed) {
+                    if (stepCount % 1000 === 0) {
+                        const now = performance.now();
+                        if (now - lastRenderTime > 50) {
+                            flush({ distance: dist, frontier: exposedCount, visited: visitedCount });
+                            lastRenderTime = now;
+                        }
+                        await sleep(0);
+                        if (await checkpoint(token)) return null;
+                    }
+                } else {
+                    const batchSize = Math.max(1, Math.floor(exposedCount / 5 * speedMultiplier));
+                    if (stepCount % batchSize === 0) {
+                        const now = performance.now();
+                        if (now - lastRenderTime > 16) {
+                            flush({ distance: dist, frontier: exposedCount, visited: visitedCount });
+                            lastRenderTime = now;
+                        }
+                        if (delay > 0) {
+                            await sleep(delay);
+                            if (await checkpoint(token)) return null;
+                        }
+                    }
+                }
+            }
+        }
+
+        return { escaped: false, distance: maxDistReached, hexCount: hexColors.size, loop: percolation === 'site' ? whiteLoop() : null };
+    }
+
+    // Hull-walking encirclement check (site percolation only)
+    // Reveals the start cluster's boundary instead of its area: from the first black hex east
+    // of the start, a wall follower walks the cluster's contour, revealing the hexes it scans.
+    // A contour that closes without winding around that black hex is the cluster's outer
+    // hull, so the cluster is encircled. One that winds around it bounds a hole in the
+    // cluster, and the search goes on east of the contour's furthest crossing of the row.
+    // With no BFS depths known, distances are lattice distances from the start hex. A path
+    // through the cluster is never shorter than that, so a hull escape is a BFS escape too;
+    // a cluster winding past escapeDistance steps within a smaller radius escapes only the BFS
+    async function checkHullEncirclement(startQ, startR, animate, token) {
+        const STEP_DELAY = 5;  // Per move at 1x speed
+
+        const isWhite = (q, r) => getHexColor(q, r);
+        const east = lattice.neighbors(startQ, startR).findIndex(([dq, dr]) => dq === 1 && dr === 0);
+
+        let q = startQ;
+        let r = startR;
+        let maxDistReached = 0;
+        let contour = 0;
+        let stepCount = 0;
+        let lastRenderTime = performance.now();
+
+        // Tracks the distance reached; true once the cluster counts as escaped
+        const reach = (cq, cr) => {
+            maxDistReached = Math.max(maxDistReached, lattice.distance(cq, cr, startQ, startR));
+            return maxDistReached >= escapeDistance;
+        };
+        const escaped = () => ({ escaped: true, distance: maxDistReached, hexCount: hexColors.size });
+
+        for (;;) {
+            while (isWhite(q + 1, r)) {
+                q++;
+                if (reach(q, r)) return escaped();
+            }
+
+            currentLayer = contour;
+            if (stepUnit === 'layer' && contour > stepLayer) {
+                if (await pauseForStep(token, { distance: maxDistReached, contour: 0, visited: hexColors.size })) {
+                    return null;
+                }
+            }
+
+            const follower = createWallFollower(lattice, isWhite, q, r, east);
+            const rowR = r;
+            let furthestQ = q;  // Furthest east the contour crosses the row
+            let moves = 0;
+            while (follower.step()) {
+                moves++;
+                stepCount++;
+                if (follower.r === rowR) furthestQ = Math.max(furthestQ, follower.q);
+                if (reach(follower.q, follower.r)) return escaped();
+
+                const progress = { distance: maxDistReached, contour: moves, visited: hexColors.size };
+                if (stepUnit === 'hex') {
+                    if (await pauseForStep(token, progress)) return null;
+                }
+
+                const isMaxSpeed = speedMultiplier === Infinity || stepUnit !== null;
+                if (!animate) {
+                    if (stepCount % 1000 === 0) {
+                        const now = performance.now();
+                        if (now - lastRenderTime > 50) {
+                            await sleep(0);
+                            if (await checkpoint(token)) return null;
+                            lastRenderTime = performance.now();
+                        }
+                    }
+                } else if (isMaxSpeed) {
+                    if (stepCount % 1000 === 0) {
+                        const now = performance.now();
+                        if (now - lastRenderTime > 50) {
+                            flush(progress);
+                            lastRenderTime = now;
+                        }
+                        await sleep(0);
+                        if (await checkpoint(token)) return null;
+                    }
+                } else {
+                    // Walks at a steady pace, in batches once the delay gets too short to sleep
+                    const batchSize = Math.max(1, Math.floor(speedMultiplier));
+                    if (stepCount % batchSize === 0) {
+                        const now = performance.now();
+                        if (now - lastRenderTime > 16) {
+                            flush(progress);
+                            lastRenderTime = now;
+                        }
+                        await sleep(STEP_DELAY * batchSize / speedMultiplier);
+                        if (await checkpoint(token)) return null;
+                    }
+                }
+            }
+
+            if (follower.winding === 0) {
+                return { escaped: false, distance: maxDistReached, hexCount: hexColors.size, loop: whiteLoop() };
+            }
+            // A contour around the black hex crosses the row east of it
+            q = furthestQ;
+            contour++;
+        }
+    }
+
+    // The hexes enclosing an encircled site run's white cluster, which holds every white hex
+    function whiteLoop() {
+        let extremeQ = 0;
+        let extremeR = 0;
+        let extremeX = -Infinity;
+        hexColors.forEach((q, r, isWhite) => {
+            const x = lattice.center(q, r).x;
+            if (isWhite && x > extremeX) {
+                extremeQ = q;
+                extremeR = r;
+                extremeX = x;
+            }
+        });
+        return new Int32Array(traceEnclosingLoop(lattice, (q, r) => hexColors.get(q, r) === true, isRevealed, extremeQ, extremeR));
+    }
+
+    // Hex vs Hex bookkeeping, updated as each hex is colored rather than rescanned:
+    // - the untested hexes next to the board, classified by the colors they touch; the
+    //   boundary (touching both) is kept in a heap in selection order
+    // - union-find over same-color clusters, each counting the (cluster hex, untested hex)
+    //   neighbor pairs whose untested hex is still open, i.e. not sealed in a hole
+    // - holes: coloring a hex can split the untested space around it, and every piece but
+    //   the one reaching outwards is sealed. A cluster is trapped when none of its pairs is open
+    function createBattleFront() {
+        const ADJACENT = 1;   // Untested hex next to a colored one
+        const BOUNDARY = 2;   // ...touching both colors, pushed to the heap
+        const SEALED = 4;     // Untested hex in a hole
+
+        const flags = createCellGrid();
+        const touches = createCellGrid(Uint16Array);  // Untested: white hexes touching it, plus 256 per black one
+        const clusterIds = createCellGrid(Uint32Array);  // Colored: union-find id + 1
+        const parent = [];
+        const openPairs = [];  // Per union-find root
+        // Boundary heaps by the side whose move opened the hex (1 white, 0 black) when the
+        // strategy alternates; otherwise everything goes in the first
+        const boundary = [createFrontierHeap(frontierOrder), createFrontierHeap(frontierOrder)];
+        const randomSeed = frontierSeed(seed);
+        let boundaryCount = 0;
+        let turn = 1;  // Side to move when alternating; white starts
+
+        function find(id) {
+            while (parent[id] !== id) {
+                parent[id] = parent[parent[id]];
+                id = parent[id];
+            }
+            return id;
+        }
+
+        function union(a, b) {
+            a = find(a);
+            b = find(b);
+            if (a === b) return;
+            parent[b] = a;
+            openPairs[a] += openPairs[b];
+        }
+
+        // Corners count too: on square and triangular lattices two adjacent cells share
+        // no edge neighbor, so only corner contact lets the colors meet on a boundary
+        function classify(q, r, isWhite) {
+            const cellFlags = flags.get(q, r);
+            const touching = touches.get(q, r);
+            if ((cellFlags & (ADJACENT | BOUNDARY)) === ADJACENT && (touching & 0xff) && (touching >> 8)) {
+                flags.set(q, r, cellFlags | BOUNDARY);
+                boundaryCount++;
+                boundary[frontierStrategy.alternating && isWhite ? 1 : 0].push({
+                    q, r,
+                    dist: lattice.distance(q, r),
+                    angle: clockwiseAngle(lattice, q, r),
+                    random: seededRandom(randomSeed, q, r)
+                });
+            }
+        }
+
+        // An untested hex stops counting as open for every cluster next to it
+        function closePairs(q, r) {
+            for (const [dq, dr] of lattice.neighbors(q, r)) {
+                const id = clusterIds.get(q + dq, r + dr);
+                if (id) openPairs[find(id - 1)]--;
+            }
+        }
+
+        // Seals the untested piece holding (q, r), which must be finite
+        function seal(q, r) {
+            if (flags.get(q, r) & SEALED) return;
+            const queue = createCellQueue();
+            queue.push(q, r);
+            flags.set(q, r, flags.get(q, r) | SEALED);
+            while (queue.length > 0) {
+                const cq = queue.firstQ();
+                const cr = queue.firstR();
+                queue.shift();
+                closePairs(cq, cr);
+                for (const [dq, dr] of lattice.neighbors(cq, cr)) {
+                    const nq = cq + dq;
+                    const nr = cr + dr;
+                    if (hexColors.has(nq, nr) || (flags.get(nq, nr) & SEALED)) continue;
+                    flags.set(nq, nr, flags.get(nq, nr) | SEALED);
+                    queue.push(nq, nr);
+                }
+            }
+        }
+
+        // A wall follower sets out from each untested neighbor of (q, r), with (q, r) on its
+        // right, and they take turns moving. One that makes another's loop move walks the
+        // same piece and takes it over. A walk that closes without winding around (q, r)
+        // enclosed a hole; one that winds around it is the piece reaching outwards (it held
+        // (q, r) until now), so every other piece is a hole. Walking stops once at most one
+        // piece is left undecided, so the cost is set by the holes' boundaries, not the board.
+        function sealHoles(q, r) {
+            // Neighbors side by side around (q, r), or joined through the cell between them,
+            // share a piece whatever happens further out: one walk per run of them
+            const offsets = lattice.neighbors(q, r);
+            const isNeighbor = (aq, ar, bq, br) => lattice.neighbors(aq, ar).some(([dq, dr]) => aq + dq === bq && ar + dr === br);
+            const linked = (i, j) => {
+                const [iq, ir] = offsets[i];
+                const [jq, jr] = offsets[j];
+                if (isNeighbor(q + iq, r + ir, q + jq, r + jr)) return true;
+                const cq = q + iq + jq;
+                const cr = r + ir + jr;
+                return (cq !== q || cr !== r) && isUntested(cq, cr) &&
+                    isNeighbor(q + iq, r + ir, cq, cr) && isNeighbor(cq, cr, q + jq, r + jr);
+            };
+            const untested = offsets.map(([dq, dr]) => isUntested(q + dq, r + dr));
+            const runStarts = [];
+            for (let i = 0; i < offsets.length; i++) {
+                const prev = (i + offsets.length - 1) % offsets.length;
+                if (untested[i] && !(untested[prev] && linked(prev, i))) runStarts.push(i);
+            }
+            if (runStarts.length < 2) return;
+
+            const walks = runStarts.map(i => {
+                const [dq, dr] = offsets[i];
+                const sq = q + dq;
+                const sr = r + dr;
+                const back = lattice.neighbors(sq, sr).findIndex(([bq, br]) => bq === -dq && br === -dr);
+                return { q: sq, r: sr, follower: createWallFollower(lattice, isUntested, sq, sr, back), merged: false };
+            });
+
+            for (;;) {
+                let undecided = 0;
+                let outer = null;
+                for (const walk of walks) {
+                    if (walk.merged) continue;
+                    if (walk.follower.walking) undecided++;
+                    else if (walk.follower.winding !== 0) outer = walk;
+                }
+                if (outer || undecided <= 1) {
+                    for (const walk of walks) {
+                        if (walk.merged || walk === outer || (!outer && walk.follower.walking)) continue;
+                        seal(walk.q, walk.r);
+                    }
+                    return;
+                }
+
+                for (const walk of walks) {
+                    if (walk.merged || !walk.follower.step()) continue;
+                    for (const other of walks) {
+                        if (other !== walk && !other.merged && walk.follower.lastMoveWas(other.follower.loopMove)) {
+                            other.merged = true;
+                        }
+                    }
+                }
+            }
+        }
+
+        return {
+            get boundaryCount() {
+                return boundaryCount;
+            },
+
+            // Call after the hex is in hexColors
+            add(q, r, isWhite) {
+                const cellFlags = flags.get(q, r);
+                if (cellFlags & BOUNDARY) boundaryCount--;
+                const open = !(cellFlags & SEALED);
+                if (open) closePairs(q, r);
+
+                const id = parent.length;
+                parent.push(id);
+                openPairs.push(0);
+                clusterIds.set(q, r, id + 1);
+
+                for (const [dq, dr] of lattice.neighbors(q, r)) {
+                    const nq = q + dq;
+                    const nr = r + dr;
+                    const neighborId = clusterIds.get(nq, nr);
+                    if (neighborId) {
+                        if (hexColors.get(nq, nr) === isWhite) union(id, neighborId - 1);
+                        continue;
+                    }
+                    const neighborFlags = flags.get(nq, nr);
+                    if (!(neighborFlags & SEALED)) openPairs[find(id)]++;
+                    if (!(neighborFlags & ADJACENT)) {
+                        flags.set(nq, nr, neighborFlags | ADJACENT);
+                        classify(nq, nr, isWhite);
+                    }
+                }
+
+                for (const [dq, dr] of lattice.touching(q, r)) {
+                    const nq = q + dq;
+                    const nr = r + dr;
+                    if (hexColors.has(nq, nr)) continue;
+                    touches.set(nq, nr, touches.get(nq, nr) + (isWhite ? 1 : 256));
+                    classify(nq, nr, isWhite);
+                }
+
+                if (open) sealHoles(q, r);
+            },
+
+            // First untested boundary hex in selection order, or null when there is none;
+            // when alternating, the side to move takes from its own heap while that has any
+            next() {
+                const sides = frontierStrategy.alternating ? [turn, 1 - turn] : [0];
+                turn = 1 - turn;
+                for (const side of sides) {
+                    const heap = boundary[side];
+                    while (heap.size > 0) {
+                        const entry = heap.pop();
+                        if (!hexColors.has(entry.q, entry.r)) return entry;
+                    }
+                }
+                return null;
+            },
+
+            // The hexes around the colored hex's cluster and the holes next to it, as a flat
+            // q, r list; for a trapped cluster, the loop that traps it
+            enclosingLoop(q, r) {
+                const root = find(clusterIds.get(q, r) - 1);
+                const color = hexColors.get(q, r);
+                const members = createCellGrid();
+                members.set(q, r, 1);
+                const queue = createCellQueue();
+                queue.push(q, r);
+                let extremeQ = q;
+                let extremeR = r;
+                let extremeX = lattice.center(q, r).x;
+                while (queue.length > 0) {
+                    const cq = queue.firstQ();
+                    const cr = queue.firstR();
+                    queue.shift();
+                    for (const [dq, dr] of lattice.neighbors(cq, cr)) {
+                        const nq = cq + dq;
+                        const nr = cr + dr;
+                        if (members.get(nq, nr)) continue;
+                        const id = clusterIds.get(nq, nr);
+                        const isMember = id ? find(id - 1) === root : (flags.get(nq, nr) & SEALED) !== 0;
+                        if (!isMember) continue;
+                        members.set(nq, nr, 1);
+                        queue.push(nq, nr);
+                        const x = lattice.center(nq, nr).x;
+                        if (x > extremeX) {
+                            extremeQ = nq;
+                            extremeR = nr;
+                            extremeX = x;
+                        }
+                    }
+                }
+                // Only the other color walls the cluster in; revealed hexes of its own color
+                // can meet it at a corner without belonging to it
+                const isWall = (wq, wr) => hexColors.get(wq, wr) === !color;
+                return traceEnclosingLoop(lattice, (mq, mr) => members.get(mq, mr) === 1, isWall, extremeQ, extremeR);
+            },
+
+            // Whether the colored hex's cluster has no way out through untested space
+            isTrapped(q, r) {
+                const id = clusterIds.get(q, r);
+                return id !== 0 && openPairs[find(id - 1)] === 0;
+            }
+        };
+    }
+
+    // Main hex vs hex check loop
+    async function hexVsHexCheck(startQ, startR, animate, token) {
+        const BASE_MAX_DELAY = 50;
+        const BASE_MIN_DELAY = 1;
+
+        // Track the original starting positions
+        const whiteStartQ = startQ;
+        const whiteStartR = startR;
+        const blackStartQ = startQ + 1;
+        const blackStartR = startR;
+
+        let stepCount = 0;
+        let maxDistReached = 0;
+        let lastRenderTime = performance.now();
+
+        // The battle front starts from the hexes already on the board
+        const front = createBattleFront();
+        hexColors.forEach((q, r, isWhite) => front.add(q, r, isWhite));
+
+        // A win comes with the loop trapping the loser's start cluster
+        const outcome = (winner) => {
+            const loser = winner === 'white' ? [blackStartQ, blackStartR] : winner === 'black' ? [whiteStartQ, whiteStartR] : null;
+            const loop = loser ? new Int32Array(front.enclosingLoop(loser[0], loser[1])) : null;
+            return { winner, distance: maxDistReached, hexCount: hexColors.size, loop };
+        };
+
+        while (true) {
+            // Only boundary hexes (touching both colors) are colored; once there are none
+            // the colors have separated and the outcome is determined
+            const next = front.next();
+            if (next === null) {
+                break;
+            }
+
+            const { q, r } = next;
+
+            // Color it randomly
+            const isWhite = drawColor(q, r);
+            setHexColor(q, r, isWhite);
+            front.add(q, r, isWhite);
+
+            const dist = next.dist;
+            maxDistReached = Math.max(maxDistReached, dist);
+            stepCount++;
+
+            // Check distance limit
+            if (maxDistReached >= escapeDistance) {
+                return outcome('unresolved');
+            }
+
+            // Check win conditions after every hex - check if ORIGINAL hexes are trapped
+            const whiteTrapped = front.isTrapped(whiteStartQ, whiteStartR);
+            const blackTrapped = front.isTrapped(blackStartQ, blackStartR);
+
+            if (whiteTrapped && !blackTrapped) {
+                return outcome('black');
+            }
+            if (blackTrapped && !whiteTrapped) {
+                return outcome('white');
+            }
+            if (whiteTrapped && blackTrapped) {
+                return outcome('unresolved');
+            }
+
+            // A layer step ends when the battle reaches a new outermost distance
+            currentLayer = maxDistReached;
+            if (stepUnit === 'hex' || (stepUnit === 'layer' && maxDistReached > stepLayer)) {
+                if (await pauseForStep(token, { distance: maxDistReached, boundary: front.boundaryCount, hexes: hexColors.size })) {
+                    return null;
+                }
+            }
+
+            // Rendering and delays
+            const isMaxSpeed = speedMultiplier === Infinity || stepUnit !== null;
+            const baseDelay = Math.max(BASE_MIN_DELAY, BASE_MAX_DELAY / Math.sqrt(front.boundaryCount + 1));
+            const delay = isMaxSpeed ? 0 : baseDelay / speedMultiplier;
+
+            if (!animate) {
+                if (stepCount % 1000 === 0) {
+                    const now = performance.now();
+                    if (now - lastRenderTime > 50) {
+                        await sleep(0);
+                        if (await checkpoint(token)) return null;
+                        lastRenderTime = performance.now();
+                    }
+                }
+            } else if (isMaxSpeed) {
+                if (stepCount % 1000 === 0) {
+                    const now = performance.now();
+                    if (now - lastRenderTime > 50) {
+                        flush({ distance: maxDistReached, boundary: front.boundaryCount, hexes: hexColors.size });
+                        lastRenderTime = now;
+                    }
+                    await sleep(0);
+                    if (await checkpoint(token)) return null;
+                }
+            } else {
+                const batchSize = Math.max(1, Math.floor((front.boundaryCount + 1) / 5 * speedMultiplier));
+                if (stepCount % batchSize === 0) {
+                    const now = performance.now();
+                    if (now - lastRenderTime > 16) {
+                        flush({ distance: maxDistReached, boundary: front.boundaryCount, hexes: hexColors.size });
+                        lastRenderTime = now;
+                    }
+                    if (delay > 0) {
+                        await sleep(delay);
+                        if (await checkpoint(token)) return null;
+                    }
+                }
+            }
+        }
+
+        // Frontier exhausted - check final state
+        const whiteTrapped = front.isTrapped(whiteStartQ, whiteStartR);
+        const blackTrapped = front.isTrapped(blackStartQ, blackStartR);
+
+        if (whiteTrapped && !blackTrapped) return outcome('black');
+        if (blackTrapped && !whiteTrapped) return outcome('white');
+        return outcome('unresolved');
+    }
+
+    // Find encircled pockets; resolves null if the run is cancelled meanwhile
+    // Returns the pockets' sizes and their cells, as a flat q, r list with each pocket's
+    // cells following the previous one's
+    async function findEncircledPockets(token) {
+        const pocketSizes = [];
+        const pocketCells = [];
+        const CANDIDATE = 1;
+        const CHECKED = 2;
+        const untested = createCellGrid();  // CANDIDATE and CHECKED flags of untested hexes
+        const candidates = createCellList();
+
+        hexColors.forEach((q, r, isWhite) => {
+            if (isWhite) return;
+
+            for (const [dq, dr] of lattice.neighbors(q, r)) {
+                const nq = q + dq;
+                const nr = r + dr;
+
+                if (!hexColors.has(nq, nr) && !untested.get(nq, nr)) {
+                    untested.set(nq, nr, CANDIDATE);
+                    candidates.push(nq, nr);
+                }
+            }
+        });
+
+        // Hexes seen by each fill, stamped with its number so one grid serves them all
+        const visited = createCellGrid(Uint32Array);
+        let search = 0;
+
+        let lastYieldTime = performance.now();
+        let work = 0;
+        // Yield now and then so pause and cancel messages get through; true once cancelled
+        async function interrupted() {
+            if ((++work & 1023) !== 0 || performance.now() - lastYieldTime <= 50) return false;
+            await sleep(0);
+            if (await checkpoint(token)) return true;
+            lastYieldTime = performance.now();
+            return false;
+        }
+
+        for (let i = 0; i < candidates.length; i++) {
+            const startQ = candidates.q(i);
+            const startR = candidates.r(i);
+            if (untested.get(startQ, startR) & CHECKED) continue;
+
+            // Walk the piece's edge first. The revealed hexes all neighbor the white
+            // cluster, so they form a single wall: a walk winding around it belongs to the
+            // piece outside everything, and one that doesn't has enclosed its piece. Cells
+            // next to the walk are on its piece too; checking them spares the candidates
+            // that only touch the wall at a corner, which the walk cuts past, a walk each.
+            const offsets = lattice.neighbors(startQ, startR);
+            const wallDir = offsets.findIndex(([dq, dr]) => hexColors.has(startQ + dq, startR + dr));
+            const walk = createWallFollower(lattice, isUntested, startQ, startR, wallDir);
+            untested.set(startQ, startR, untested.get(startQ, startR) | CHECKED);
+            while (walk.step()) {
+                for (const [dq, dr] of lattice.neighbors(walk.q, walk.r)) {
+                    const nq = walk.q + dq;
+                    const nr = walk.r + dr;
+                    if (!hexColors.has(nq, nr)) untested.set(nq, nr, untested.get(nq, nr) | CHECKED);
+                }
+                if (await interrupted()) return null;
+            }
+            if (walk.winding !== 0) continue;
+
+            // The fill keeps every cell it reaches, which is the pocket if it never meets white
+            const piece = createCellList();
+            piece.push(startQ, startR);
+
+            search++;
+            visited.set(startQ, startR, search);
+            let touchesWhite = false;
+
+            for (let head = 0; head < piece.length; head++) {
+                const q = piece.q(head);
+                const r = piece.r(head);
+                untested.set(q, r, untested.get(q, r) | CHECKED);
+                if (await interrupted()) return null;
+
+                for (const [dq, dr] of lattice.neighbors(q, r)) {
+                    const nq = q + dq;
+                    const nr = r + dr;
+
+                    if (visited.get(nq, nr) === search) continue;
+                    visited.set(nq, nr, search);
+
+                    const colorValue = hexColors.get(nq, nr);
+                    if (colorValue !== undefined) {
+                        if (colorValue) touchesWhite = true;
+                    } else {
+                        piece.push(nq, nr);
+                    }
+                }
+            }
+
+            if (!touchesWhite) {
+                pocketSizes.push(piece.length);
+                for (let j = 0; j < piece.length; j++) {
+                    pocketCells.push(piece.q(j), piece.r(j));
+                }
+            }
+        }
+
+        return { pocketSizes, pocketCells: new Int32Array(pocketCells) };
+    }
+
+    async function startSimulation(message) {
+        // A new run takes over the board; a previous run still awaiting returns at its next checkpoint
+        if (activeToken) activeToken.cancelled = true;
+        stopComparison();
+        const token = activeToken = { runId: message.runId, cancelled: false };
+        lastStart = message;
+        paused = false;
+        wake();
+
+        hexColors = createBoardStore();
+        pendingCells = [];
+        bondStates = createCellGrid(Uint16Array);
+        bondLog = [];
+        postedBonds = 0;
+        percolation = message.percolation ?? 'site';
+        seed = message.seed;
+        occupationProbability = message.probability;
+        escapeDistance = message.escapeDistance ?? ESCAPE_DISTANCE;
+        lattice = LATTICES[message.lattice];
+        speedMultiplier = message.speed;
+        streaming = message.animate;
+        stepUnit = null;
+        currentLayer = 0;
+        painted = createCellGrid();
+        const paint = message.painted ?? [];
+        for (let i = 0; i < paint.length; i += 3) {
+            painted.set(paint[i], paint[i + 1], paint[i + 2] === 1 ? CELL_WHITE : CELL_BLACK);
+        }
+        frontierStrategy = FRONTIER_STRATEGIES[message.strategy ?? 'outermost'];
+
+        // The start hexes are already on the page's board
+        for (let i = 0; i < message.cells.length; i += 4) {
+            setHexColor(message.cells[i], message.cells[i + 1], message.cells[i + 2] === 1, message.cells[i + 3]);
+        }
+        pendingCells = [];
+
+        // A custom comparator that doesn't compile, or throws mid-run, ends the run with an
+        // error reply in place of a result, so the page isn't left waiting. So does Hex vs Hex
+        // off the hexagonal lattice: only there can neither player be walled in by the other
+        // without walling the other in, so elsewhere the game need never end
+        let result;
+        try {
+            if (message.mode === 'hexvshex' && lattice !== LATTICES.hex) {
+                throw new Error('Hex vs Hex only resolves on the hexagonal lattice');
+            }
+            frontierOrder = message.strategy === 'custom' ? compileFrontierComparator(message.comparator) : frontierStrategy.before;
+            const check = message.mode === 'hexvshex' ? hexVsHexCheck
+                : message.algorithm === 'hull' ? checkHullEncirclement : checkEncirclement;
+            result = await check(message.startQ, message.startR, message.animate, token);
+        } catch (e) {
+            if (token.cancelled) return;
+            flush();
+            post({ type: 'result', runId: token.runId, error: e.message });
+            return;
+        }
+        if (token.cancelled) return;
+        flush();
+        post({ type: 'result', runId: token.runId, result }, result.loop ? [result.loop.buffer] : []);
+    }
+
+    async function reportPockets(token) {
+        const pockets = await findEncircledPockets(token);
+        if (token.cancelled) return;
+        post({ type: 'pockets', runId: token.runId, ...pockets }, [pockets.pocketCells.buffer]);
+    }
+
+    // Reruns the last start with the other escape algorithm in a simulation of its own, so the
+    // board stays as it is, and reports how many hexes that one revealed. The page asks for it
+    // under a run id of its own, as it costs another whole run. A failed run's error is passed
+    // on in place of the counts
+    async function compareAlgorithms(runId) {
+        stopComparison();
+        const token = comparisonToken = { runId, cancelled: false, settle: null };
+        const algorithm = lastStart.algorithm === 'hull' ? 'bfs' : 'hull';
+        const reply = await new Promise(resolve => {
+            token.settle = resolve;
+            comparison = createSimulation(message => {
+                if (message.type === 'result') resolve(message);
+            });
+            comparison.handleMessage({ ...lastStart, algorithm, animate: false, speed: Infinity });
+        });
+        // A cancelled comparison's slot may already hold the next one
+        if (token.cancelled) return;
+        comparison = null;
+        if (reply.error) {
+            post({ type: 'comparison', runId: token.runId, algorithm, error: reply.error });
+            return;
+        }
+        post({ type: 'comparison', runId: token.runId, algorithm, escaped: reply.result.escaped, hexCount: reply.result.hexCount });
+    }
+
+    // A cancelled comparison never replies, so its pending compareAlgorithms is settled here
+    // and returns without posting
+    function stopComparison() {
+        if (!comparison) return;
+        comparisonToken.cancelled = true;
+        comparison.handleMessage({ type: 'cancel', runId: lastStart.runId });
+        comparison = null;
+        comparisonToken.settle(null);
+    }
+
+    function handleMessage(message) {
+        switch (message.type) {
+            case 'start':
+                startSimulation(message);
+                break;
+            case 'pause':
+                paused = true;
+                break;
+            case 'resume':
+                paused = false;
+                wake();
+                break;
+            case 'step':
+                // Advance by one hex or one layer, then pause again
+                stepUnit = message.unit;
+                stepLayer = currentLayer;
+                paused = false;
+                wake();
+                break;
+            case 'cancel':
+                if (activeToken && activeToken.runId === message.runId) {
+                    activeToken.cancelled = true;
+                    stopComparison();
+                    wake();
+                } else if (comparisonToken && comparisonToken.runId === message.runId) {
+                    stopComparison();
+                }
+                break;
+            case 'speed':
+                speedMultiplier = message.speed;
+                break;
+            case 'pockets':
+                if (activeToken) reportPockets(activeToken);
+                break;
+            case 'compare':
+                if (lastStart) compareAlgorithms(message.runId);
+                break;
+            case 'sync': {
+                // Re-send the whole board in reveal order
+                const cells = new Int32Array(hexColors.size * 4);
+                let i = 0;
+                hexColors.forEach((q, r, isWhite, depth) => {
+                    cells[i++] = q;
+                    cells[i++] = r;
+                    cells[i++] = isWhite ? 1 : 0;
+                    cells[i++] = depth;
+                });
+                const bonds = new Int32Array(bondLog);
+                const runId = activeToken && activeToken.runId;
+                post({ type: 'cells', runId, cells, bonds }, [cells.buffer, bonds.buffer]);
+                post({ type: 'synced', runId });
+                break;
+            }
+        }
+    }
+
+    return { handleMessage };
+}
@@ -0,0 +1,327 @@
+// Board snapshots: a compact binary encoding of the revealed board, shared as base64
+//
+// Layout (integers are LEB128 varints, signed ones zigzag-encoded first):
+//   'UHX' magic, version byte
+//   flags: bit 0 Hex vs Hex mode, bit 1 start hex present, bit 2 seed present,
+//          bit 3 bond percolation (version 3 on), bit 4 BFS depths present (version 4 on),
+//          bit 5 paint present (version 5 on)
+//   lattice, as an index into SNAPSHOT_LATTICES (version 2 on; version 1 boards are hexagonal)
+//   algorithm and strategy, as indexes into SNAPSHOT_ALGORITHMS and SNAPSHOT_STRATEGIES (version 5 on)
+//   startQ, startR (signed, if present), seed (if present)
+//   probability, zoom, panX, panY as float64
+//   cell count, then for each cell in reveal order:
+//     zigzag(dq) * 2 + color, zigzag(dr)
+//   with dq/dr relative to the previous cell, so BFS order costs ~2 bytes per hex
+//   with BFS depths, for each cell zigzag(depth - previous depth), depth -1 if the cell has none
+//   with bond percolation, bond count, then for each bond in reveal order:
+//     zigzag(dq) * 16 + neighbor index * 2 + open, zigzag(dr), hexes revealed since the previous bond
+//   with paint, painted hex count, then for each painted hex:
+//     zigzag(dq) * 2 + color, zigzag(dr)
+// Snapshots from before version 5 leave the algorithm, strategy and paint as they are. A custom
+// strategy's comparator is code, so like a link (see link.js) a snapshot never carries it
+
+const SNAPSHOT_MAGIC = [0x55, 0x48, 0x58];  // 'UHX'
+const SNAPSHOT_VERSION = 5;
+const SNAPSHOT_LATTICES = ['hex', 'square4', 'square8', 'triangle'];
+const SNAPSHOT_ALGORITHMS = ['bfs', 'hull'];
+const SNAPSHOT_STRATEGIES = ['outermost', 'random', 'innermost', 'counterclockwise', 'alternating', 'custom'];
+const SNAPSHOT_HVH = 1;
+const SNAPSHOT_HAS_START = 2;
+const SNAPSHOT_HAS_SEED = 4;
+const SNAPSHOT_BOND = 8;
+const SNAPSHOT_HAS_DEPTHS = 16;
+const SNAPSHOT_HAS_PAINT = 32;
+
+// Arithmetic rather than bitwise so values beyond 32 bits survive
+function zigzag(v) {
+    return v >= 0 ? v * 2 : -v * 2 - 1;
+}
+
+function unzigzag(v) {
+    return v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+}
+
+function createSnapshotWriter() {
+    let bytes = new Uint8Array(1024);
+    let length = 0;
+
+    function reserve(n) {
+        if (length + n <= bytes.length) return;
+        const grown = new Uint8Array(Math.max(bytes.length * 2, length + n));
+        grown.set(bytes.subarray(0, length));
+        bytes = grown;
+    }
+
+    function varint(v) {
+        reserve(8);
+        while (v >= 0x80) {
+            bytes[length++] = (v % 0x80) | 0x80;
+            v = Math.floor(v / 0x80);
+        }
+        bytes[length++] = v;
+    }
+
+    return {
+        byte(b) {
+            reserve(1);
+            bytes[length++] = b;
+        },
+        varint,
+        float64(v) {
+            reserve(8);
+            new DataView(bytes.buffer).setFloat64(length, v, true);
+            length += 8;
+        },
+        result() {
+            return bytes.subarray(0, length);
+        }
+    };
+}
+
+function createSnapshotReader(bytes) {
+    let offset = 0;
+
+    function byte() {
+        if (offset >= bytes.length) throw new Error('Snapshot is truncated');
+        return bytes[offset++];
+    }
+
+    function varint() {
+        let v = 0;
+        let scale = 1;
+        for (;;) {
+            const b = byte();
+            v += (b & 0x7f) * scale;
+            if (b < 0x80) return v;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) throw new Error('Snapshot contains an invalid number');
+        }
+    }
+
+    return {
+        byte,
+        remaining() {
+            return bytes.length - offset;
+        },
+        varint,
+        float64() {
+            if (offset + 8 > bytes.length) throw new Error('Snapshot is truncated');
+            const v = new DataView(bytes.buffer, bytes.byteOffset).getFloat64(offset, true);
+            offset += 8;
+            return v;
+        }
+    };
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/\s+/g, ''));
+    } catch (e) {
+        throw new Error('Snapshot is not valid base64');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// snapshot: { mode, lattice, percolation, algorithm, strategy, startHex, seed,
+//             probability, zoom, pan: {x, y}, cells: Int32Array [q, r, color, depth, ...],
+//             bonds: [{q, r, index, open, cells}], painted: [q, r, color, ...] }
+// cells is in reveal order as createRevealLog gives it, depth the BFS depth from the start hex
+// or -1 outside escape runs; painted is a flat list as paintedCells gives it (color 1 white, 0 black). Decoded from an
+// older version, algorithm, strategy and painted are null
+function encodeSnapshot(snapshot) {
+    const writer = createSnapshotWriter();
+    SNAPSHOT_MAGIC.forEach(b => writer.byte(b));
+    writer.byte(SNAPSHOT_VERSION);
+
+    const hasSeed = snapshot.seed !== null && snapshot.seed !== undefined;
+    const isBond = snapshot.percolation === 'bond';
+    const cells = snapshot.cells;
+    let hasDepths = false;
+    for (let i = 3; i < cells.length && !hasDepths; i += 4) hasDepths = cells[i] >= 0;
+    const hasPaint = snapshot.painted.length > 0;
+    writer.byte((snapshot.mode === 'hexvshex' ? SNAPSHOT_HVH : 0) |
+        (snapshot.startHex ? SNAPSHOT_HAS_START : 0) |
+        (hasSeed ? SNAPSHOT_HAS_SEED : 0) |
+        (isBond ? SNAPSHOT_BOND : 0) |
+        (hasDepths ? SNAPSHOT_HAS_DEPTHS : 0) |
+        (hasPaint ? SNAPSHOT_HAS_PAINT : 0));
+    writer.byte(SNAPSHOT_LATTICES.indexOf(snapshot.lattice));
+    writer.byte(SNAPSHOT_ALGORITHMS.indexOf(snapshot.algorithm));
+    writer.byte(SNAPSHOT_STRATEGIES.indexOf(snapshot.strategy));
+    if (snapshot.startHex) {
+        writer.varint(zigzag(snapshot.startHex.q));
+        writer.varint(zigzag(snapshot.startHex.r));
+    }
+    if (hasSeed) writer.varint(snapshot.seed);
+    writer.float64(snapshot.probability);
+    writer.float64(snapshot.zoom);
+    writer.float64(snapshot.pan.x);
+    writer.float64(snapshot.pan.y);
+
+    writer.varint(cells.length / 4);
+    let prevQ = 0;
+    let prevR = 0;
+    for (let i = 0; i < cells.length; i += 4) {
+        writer.varint(zigzag(cells[i] - prevQ) * 2 + cells[i + 2]);
+        writer.varint(zigzag(cells[i + 1] - prevR));
+        prevQ = cells[i];
+        prevR = cells[i + 1];
+    }
+
+    if (hasDepths) {
+        let prevDepth = 0;
+        for (let i = 3; i < cells.length; i += 4) {
+            writer.varint(zigzag(cells[i] - prevDepth));
+            prevDepth = cells[i];
+        }
+    }
+
+    if (isBond) {
+        writer.varint(snapshot.bonds.length);
+        prevQ = 0;
+        prevR = 0;
+        let prevCells = 0;
+        for (const bond of snapshot.bonds) {
+            writer.varint(zigzag(bond.q - prevQ) * 16 + bond.index * 2 + (bond.open ? 1 : 0));
+            writer.varint(zigzag(bond.r - prevR));
+            writer.varint(bond.cells - prevCells);
+            prevQ = bond.q;
+            prevR = bond.r;
+            prevCells = bond.cells;
+        }
+    }
+
+    if (hasPaint) {
+        const painted = snapshot.painted;
+        writer.varint(painted.length / 3);
+        prevQ = 0;
+        prevR = 0;
+        for (let i = 0; i < painted.length; i += 3) {
+            writer.varint(zigzag(painted[i] - prevQ) * 2 + painted[i + 2]);
+            writer.varint(zigzag(painted[i + 1] - prevR));
+            prevQ = painted[i];
+            prevR = painted[i + 1];
+        }
+    }
+
+    return bytesToBase64(writer.result());
+}
+
+function decodeSnapshot(text) {
+    const reader = createSnapshotReader(base64ToBytes(text));
+    if (SNAPSHOT_MAGIC.some(b => reader.byte() !== b)) {
+        throw new Error('Not an Unprotected Hex board snapshot');
+    }
+    const version = reader.byte();
+    if (version < 1 || version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${version}`);
+    }
+
+    const flags = reader.byte();
+    if (version < 5 && (flags & SNAPSHOT_HAS_PAINT)) throw new Error('Snapshot has paint its version cannot hold');
+    const snapshot = {
+        mode: flags & SNAPSHOT_HVH ? 'hexvshex' : 'escape',
+        lattice: 'hex',
+        percolation: flags & SNAPSHOT_BOND ? 'bond' : 'site',
+        algorithm: null,
+        strategy: null,
+        startHex: null,
+        seed: null,
+        painted: null
+    };
+    if (version >= 2) {
+        snapshot.lattice = SNAPSHOT_LATTICES[reader.byte()];
+        if (!snapshot.lattice) throw new Error('Snapshot uses an unknown lattice');
+        if (snapshot.mode === 'hexvshex' && snapshot.lattice !== 'hex') {
+            throw new Error('Snapshot plays Hex vs Hex off the hexagonal lattice');
+        }
+    }
+    if (version >= 5) {
+        snapshot.algorithm = SNAPSHOT_ALGORITHMS[reader.byte()];
+        snapshot.strategy = SNAPSHOT_STRATEGIES[reader.byte()];
+        if (!snapshot.algorithm || !snapshot.strategy) throw new Error('Snapshot uses an unknown algorithm or strategy');
+    }
+    if (flags & SNAPSHOT_HAS_START) {
+        snapshot.startHex = { q: unzigzag(reader.varint()), r: unzigzag(reader.varint()) };
+    }
+    if (flags & SNAPSHOT_HAS_SEED) snapshot.seed = reader.varint();
+    snapshot.probability = reader.float64();
+    snapshot.zoom = reader.float64();
+    snapshot.pan = { x: reader.float64(), y: reader.float64() };
+
+    const count = reader.varint();
+    if (count * 2 > reader.remaining()) throw new Error('Snapshot is truncated');
+    const cells = new Int32Array(count * 4);
+    let q = 0;
+    let r = 0;
+    for (let i = 0; i < cells.length; i += 4) {
+        const packed = reader.varint();
+        q += unzigzag(Math.floor(packed / 2));
+        r += unzigzag(reader.varint());
+        if ((q | 0) !== q || (r | 0) !== r) throw new Error('Snapshot contains an invalid cell');
+        cells[i] = q;
+        cells[i + 1] = r;
+        cells[i + 2] = packed % 2;
+        cells[i + 3] = -1;
+    }
+    snapshot.cells = cells;
+
+    if (flags & SNAPSHOT_HAS_DEPTHS) {
+        if (count > reader.remaining()) throw new Error('Snapshot is truncated');
+        let depth = 0;
+        for (let i = 3; i < cells.length; i += 4) {
+            depth += unzigzag(reader.varint());
+            if (depth < -1 || depth > 0x7fffffff) throw new Error('Snapshot contains an invalid depth');
+            cells[i] = depth;
+        }
+    }
+
+    snapshot.bonds = [];
+    if (flags & SNAPSHOT_BOND) {
+        const bondCount = reader.varint();
+        if (bondCount * 3 > reader.remaining()) throw new Error('Snapshot is truncated');
+        q = 0;
+        r = 0;
+        let revealed = 0;
+        for (let i = 0; i < bondCount; i++) {
+            const packed = reader.varint();
+            q += unzigzag(Math.floor(packed / 16));
+            r += unzigzag(reader.varint());
+            revealed += reader.varint();
+            const index = (packed % 16) >> 1;
+            if (index >= LATTICES[snapshot.lattice].neighbors(q, r).length) {
+                throw new Error('Snapshot contains an invalid bond');
+            }
+            snapshot.bonds.push({ q, r, index, open: packed % 2 === 1, cells: revealed });
+        }
+    }
+
+    if (version >= 5) snapshot.painted = [];
+    if (flags & SNAPSHOT_HAS_PAINT) {
+        const paintCount = reader.varint();
+        if (paintCount * 2 > reader.remaining()) throw new Error('Snapshot is truncated');
+        q = 0;
+        r = 0;
+        for (let i = 0; i < paintCount; i++) {
+            const packed = reader.varint();
+            q += unzigzag(Math.floor(packed / 2));
+            r += unzigzag(reader.varint());
+            snapshot.painted.push(q, r, packed % 2);
+        }
+    }
+
+    return snapshot;
+}
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, cellKey, runSimulation, floodFrom } = require('./load.js');
+
+const { LATTICES, createSimulation } = loadScripts(['sim.js'], ['LATTICES', 'createSimulation']);
+
+// White starts at the origin, black beside it, as on the page
+const START = { mode: 'hexvshex', escapeDistance: 30, cells: [0, 0, 1, -1, 1, 0, 0, -1] };
+
+function play(seed, strategy = 'outermost') {
+    return runSimulation(createSimulation, { ...START, seed, strategy });
+}
+
+// Some games outlast the escape distance: at p = 0.5 the chance both clusters still reach
+// distance R only falls off like R^-1/4, so a handful stay unresolved
+test('Hex vs Hex games on the hexagonal lattice end', async () => {
+    const wins = { white: 0, black: 0, unresolved: 0 };
+    for (let seed = 1; seed <= 12; seed++) {
+        const { result } = await play(seed);
+        wins[result.winner]++;
+    }
+    assert.ok(wins.white > 0 && wins.black > 0 && wins.unresolved <= 6, JSON.stringify(wins));
+});
+
+test('Hex vs Hex is refused off the hexagonal lattice, where games need never end', async () => {
+    for (const lattice of Object.keys(LATTICES).filter(type => type !== 'hex')) {
+        const { error } = await runSimulation(createSimulation, { ...START, lattice, seed: 1 });
+        assert.match(error, /hexagonal lattice/, lattice);
+    }
+});
+
+// Whether the cluster of one color at (q, r) can still grow without bound: a fill through
+// that color and untested hexes gets past every revealed hex
+function canGrow(board, q, r, white) {
+    let reach = 0;
+    for (const key of board.keys()) {
+        const [cq, cr] = key.split(',').map(Number);
+        reach = Math.max(reach, LATTICES.hex.distance(cq, cr, q, r));
+    }
+    const pass = (nq, nr) => board.get(cellKey(nq, nr))?.white !== !white;
+    return floodFrom(LATTICES.hex, q, r, pass, reach + 1) === null;
+}
+
+// The battle front keeps its clusters and holes up to date hex by hex; a fresh fill over the
+// final board has to agree with the outcome it reached
+for (const strategy of ['outermost', 'random', 'innermost', 'counterclockwise', 'alternating']) {
+    test(`the ${strategy} battle front ends games when, and only when, a start cluster is trapped`, async () => {
+        for (let seed = 1; seed <= 6; seed++) {
+            const { result, board } = await play(seed, strategy);
+            const whiteGrows = canGrow(board, 0, 0, true);
+            const blackGrows = canGrow(board, 1, 0, false);
+            assert.deepStrictEqual([whiteGrows, blackGrows], [result.winner !== 'black', result.winner !== 'white'],
+                `seed ${seed}, ${result.winner}`);
+            if (result.winner === 'unresolved') continue;
+
+            const loser = result.winner === 'white' ? [1, 0] : [0, 0];
+            const wall = new Set();
+            for (let i = 0; i < result.loop.length; i += 2) {
+                const key = cellKey(result.loop[i], result.loop[i + 1]);
+                assert.strictEqual(board.get(key)?.white, result.winner === 'white', `seed ${seed}: loop cell ${key}`);
+                wall.add(key);
+            }
+            assert.ok(floodFrom(LATTICES.hex, loser[0], loser[1], (q, r) => !wall.has(cellKey(q, r)), 100), `seed ${seed}: loop leaks`);
+        }
+    });
+}
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load.js');
+
+// history.js reads the page's settings from hex.js
+const history = loadScripts(['sim.js', 'history.js'],
+    ['formatHistoryJson', 'formatHistoryCsv', 'parseJsonHistory', 'parseCsvHistory', 'validateRun', 'mergeRuns'],
+    { DEFAULT_PROBABILITY: 0.5, PERCOLATION_TYPES: ['site', 'bond'], ESCAPE_ALGORITHMS: ['bfs', 'hull'] });
+
+const runs = [
+    { escaped: true, distance: 40, hexCount: 812, seed: 7, probability: 0.55, lattice: 'hex', percolation: 'site',
+        algorithm: 'bfs', startQ: 0, startR: 0, timestamp: 1700000000000, interrupted: false, inProgress: false },
+    { escaped: false, distance: 3, hexCount: 19, seed: 4294967295, probability: 0.3, lattice: 'triangle', percolation: 'site',
+        algorithm: 'hull', startQ: -2, startR: 5, timestamp: 1700000000001, interrupted: false, inProgress: false,
+        pocketHistogram: [2, 0, 1] },
+    { escaped: null, distance: 12, hexCount: 140, seed: null, probability: 0.5, lattice: 'square4', percolation: 'bond',
+        algorithm: 'bfs', startQ: null, startR: null, timestamp: 1700000000002, interrupted: true, inProgress: false }
+];
+const hvhRuns = [
+    { winner: 'black', distance: 9, hexCount: 230, seed: 12, probability: 0.5, lattice: 'hex', percolation: 'site',
+        strategy: 'innermost', startQ: 0, startR: 0, timestamp: 1700000000003, interrupted: false, inProgress: false },
+    { winner: 'unresolved', distance: 40, hexCount: 4000, seed: 13, probability: 0.5, lattice: 'hex', percolation: 'site',
+        strategy: 'outermost', startQ: 1, startR: -1, timestamp: 1700000000004, interrupted: false, inProgress: false }
+];
+
+function importRuns(parsed) {
+    return {
+        runs: parsed.runs.map((run, i) => history.validateRun(run, false, `Escape run ${i + 1}`)),
+        hvhRuns: parsed.hvhRuns.map((run, i) => history.validateRun(run, true, `HvH run ${i + 1}`))
+    };
+}
+
+test('a JSON export imports back as the same runs', () => {
+    const imported = importRuns(history.parseJsonHistory(history.formatHistoryJson(runs, hvhRuns)));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(imported)), { runs, hvhRuns });
+});
+
+test('a CSV export imports back as the same runs', () => {
+    const imported = importRuns(history.parseCsvHistory(history.formatHistoryCsv(runs, hvhRuns)));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(imported)), { runs, hvhRuns });
+});
+
+test('importing an export again adds nothing, from either format', () => {
+    const own = structuredClone(runs);
+    const ownHvh = structuredClone(hvhRuns);
+    for (const parsed of [history.parseJsonHistory(history.formatHistoryJson(runs, hvhRuns)),
+        history.parseCsvHistory(history.formatHistoryCsv(runs, hvhRuns))]) {
+        const imported = importRuns(parsed);
+        assert.strictEqual(history.mergeRuns(own, imported.runs, false), 0);
+        assert.strictEqual(history.mergeRuns(ownHvh, imported.hvhRuns, true), 0);
+    }
+    assert.strictEqual(own.length, runs.length);
+    assert.strictEqual(ownHvh.length, hvhRuns.length);
+});
+
+test('merging adds only the runs not already present, once each', () => {
+    const own = structuredClone(runs.slice(0, 1));
+    const incoming = [...structuredClone(runs), structuredClone(runs[2])];
+    assert.strictEqual(history.mergeRuns(own, incoming, false), 2);
+    assert.strictEqual(own.length, 3);
+});
+
+test('runs recorded before a setting existed match their defaults', () => {
+    const old = { escaped: true, distance: 40, hexCount: 812, seed: 7, startQ: 0, startR: 0, timestamp: 1, interrupted: false };
+    const own = [{ ...old, probability: 0.5, lattice: 'hex', percolation: 'site', algorithm: 'bfs' }];
+    assert.strictEqual(history.mergeRuns(own, [old], false), 0);
+});
+
+test('an old CSV without the optional columns still imports', () => {
+    const csv = 'mode,outcome,distance,hexCount,seed,probability,startQ,startR,timestamp,interrupted\n' +
+        'escape,encircled,5,30,3,0.5,0,0,1700000000000,false\n';
+    const [run] = importRuns(history.parseCsvHistory(csv)).runs;
+    assert.strictEqual(run.escaped, false);
+    assert.strictEqual(run.lattice, 'hex');
+    assert.strictEqual(run.algorithm, 'bfs');
+});
+
+test('unfinished runs import as interrupted', () => {
+    const [run] = importRuns({ runs: [{ ...runs[0], escaped: null, inProgress: true }], hvhRuns: [] }).runs;
+    assert.strictEqual(run.interrupted, true);
+    assert.strictEqual(run.inProgress, false);
+});
+
+test('malformed runs and files are rejected', () => {
+    assert.throws(() => history.validateRun({ ...runs[0], distance: '40' }, false, 'Run'), /invalid distance/);
+    assert.throws(() => history.validateRun({ ...runs[0], lattice: 'cube' }, false, 'Run'), /unknown lattice/);
+    assert.throws(() => history.validateRun({ ...runs[0], percolation: 'bond', algorithm: 'hull' }, false, 'Run'), /hull walks/);
+    assert.throws(() => history.validateRun({ ...hvhRuns[0], percolation: 'bond' }, true, 'Run'), /percolation/);
+    assert.throws(() => history.validateRun({ ...hvhRuns[0], winner: 'grey' }, true, 'Run'), /invalid outcome/);
+    assert.throws(() => history.parseJsonHistory('{"format":"something-else"}'), /Not an Unprotected Hex/);
+    assert.throws(() => history.parseCsvHistory('mode,outcome\nescape,escaped\n'), /CSV header/);
+    assert.throws(() => history.parseCsvHistory(history.formatHistoryCsv(runs, []).replace('escaped', 'vanished')), /unknown escape outcome/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, cellKey, runSimulation, floodFrom } = require('./load.js');
+
+const { LATTICES, createSimulation } = loadScripts(['sim.js'], ['LATTICES', 'createSimulation']);
+
+// The hull walk measures the escape distance on the lattice and the BFS in steps through the
+// cluster, which are never fewer, so the BFS can escape a cluster the walk goes around. On
+// anything the BFS encircles the two must agree, and the walk reveals no more than the BFS
+for (const type of Object.keys(LATTICES)) {
+    test(`${type}: the hull walk agrees with the BFS on whether the start escapes`, async () => {
+        const probability = type === 'square8' ? 0.35 : type === 'triangle' ? 0.65 : type === 'square4' ? 0.55 : 0.45;
+        const outcomes = new Set();
+        for (let seed = 1; seed <= 10; seed++) {
+            const message = { lattice: type, seed, probability, escapeDistance: 25 };
+            const bfs = (await runSimulation(createSimulation, message)).result;
+            const { result: hull, board } = await runSimulation(createSimulation, { ...message, algorithm: 'hull' });
+            outcomes.add(bfs.escaped);
+            if (bfs.escaped) continue;
+            assert.strictEqual(hull.escaped, false, `seed ${seed}`);
+            assert.ok(hull.hexCount <= bfs.hexCount, `seed ${seed}: the walk revealed ${hull.hexCount} hexes, the BFS ${bfs.hexCount}`);
+
+            const wall = new Set();
+            for (let i = 0; i < hull.loop.length; i += 2) {
+                const key = cellKey(hull.loop[i], hull.loop[i + 1]);
+                assert.strictEqual(board.get(key)?.white, false, `seed ${seed}: loop cell ${key} is not black`);
+                wall.add(key);
+            }
+            assert.ok(floodFrom(LATTICES[type], 0, 0, (q, r) => !wall.has(cellKey(q, r)), 100), `seed ${seed}: loop leaks`);
+        }
+        assert.deepStrictEqual(outcomes, new Set([true, false]), 'every run ended the same way');
+    });
+}
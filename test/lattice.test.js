@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, cellKey, runSimulation, floodFrom } = require('./load.js');
+
+const { LATTICES, traceEnclosingLoop, createSimulation } = loadScripts(['sim.js'], ['LATTICES', 'traceEnclosingLoop', 'createSimulation']);
+const RADIUS = 6;
+
+function patch() {
+    const cells = [];
+    for (let q = -RADIUS; q <= RADIUS; q++) {
+        for (let r = -RADIUS; r <= RADIUS; r++) cells.push([q, r]);
+    }
+    return cells;
+}
+
+// Deterministic pseudo-random numbers in [0, 1)
+function randomSource(seed) {
+    let state = seed;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+// A connected set of cells grown from the origin one random neighbor at a time
+function randomBlob(lattice, size, random) {
+    const cells = [[0, 0]];
+    const members = new Set([cellKey(0, 0)]);
+    while (cells.length < size) {
+        const [q, r] = cells[Math.floor(random() * cells.length)];
+        const offsets = lattice.neighbors(q, r);
+        const [dq, dr] = offsets[Math.floor(random() * offsets.length)];
+        if (members.has(cellKey(q + dq, r + dr))) continue;
+        members.add(cellKey(q + dq, r + dr));
+        cells.push([q + dq, r + dr]);
+    }
+    return { cells, members };
+}
+
+for (const [type, lattice] of Object.entries(LATTICES)) {
+    test(`${type}: neighbors are mutual, touch and lie at distance 1`, () => {
+        for (const [q, r] of patch()) {
+            const touching = new Set(lattice.touching(q, r).map(([dq, dr]) => cellKey(dq, dr)));
+            for (const [dq, dr] of lattice.neighbors(q, r)) {
+                const back = lattice.neighbors(q + dq, r + dr).some(([bq, br]) => bq === -dq && br === -dr);
+                assert.ok(back, `${q},${r} -> ${q + dq},${r + dr} is one-way`);
+                assert.ok(touching.has(cellKey(dq, dr)), `${q},${r} does not touch its neighbor ${q + dq},${r + dr}`);
+                assert.strictEqual(lattice.distance(q + dq, r + dr, q, r), 1);
+            }
+        }
+    });
+
+    test(`${type}: distance is the number of steps between neighbors`, () => {
+        const steps = new Map([[cellKey(0, 0), 0]]);
+        const queue = [[0, 0]];
+        for (let head = 0; head < queue.length; head++) {
+            const [q, r] = queue[head];
+            const step = steps.get(cellKey(q, r));
+            if (step === RADIUS) continue;
+            for (const [dq, dr] of lattice.neighbors(q, r)) {
+                if (steps.has(cellKey(q + dq, r + dr))) continue;
+                steps.set(cellKey(q + dq, r + dr), step + 1);
+                queue.push([q + dq, r + dr]);
+            }
+        }
+        for (const [key, step] of steps) {
+            const [q, r] = key.split(',').map(Number);
+            assert.strictEqual(lattice.distance(q, r), step, `distance to ${key}`);
+            // Triangles only keep their orientation under translations by an even q + r
+            assert.strictEqual(lattice.distance(q + 3, r - 1, 3, -1), step, `distance to ${key} from 3,-1`);
+        }
+    });
+
+    test(`${type}: picking a cell's center finds the cell`, () => {
+        for (const [q, r] of patch()) {
+            const { x, y } = lattice.center(q, r);
+            const picked = lattice.pick(x, y);
+            assert.ok(picked.q === q && picked.r === r, `picked ${picked.q},${picked.r} for ${q},${r}`);
+        }
+    });
+
+    test(`${type}: the enclosing loop holds its set in`, () => {
+        const random = randomSource(type.length);
+        for (let trial = 0; trial < 40; trial++) {
+            const { cells, members } = randomBlob(lattice, 2 + trial, random);
+            const inSet = (q, r) => members.has(cellKey(q, r));
+            // The member furthest right
+            let [startQ, startR] = cells[0];
+            for (const [q, r] of cells) {
+                if (lattice.center(q, r).x > lattice.center(startQ, startR).x) [startQ, startR] = [q, r];
+            }
+            const loop = traceEnclosingLoop(lattice, inSet, (q, r) => !inSet(q, r), startQ, startR);
+            const wall = new Set();
+            for (let i = 0; i < loop.length; i += 2) wall.add(cellKey(loop[i], loop[i + 1]));
+            assert.ok(floodFrom(lattice, 0, 0, (q, r) => !wall.has(cellKey(q, r)), 100), `trial ${trial} leaks`);
+        }
+    });
+}
+
+// The loop an encircled escape run reports is the black wall around the start's cluster
+for (const type of Object.keys(LATTICES)) {
+    test(`${type}: an encircled run's loop is black and holds the start in`, async () => {
+        const probability = type === 'square8' ? 0.35 : 0.45;
+        let encircled = 0;
+        for (let seed = 1; seed <= 10; seed++) {
+            const { result, board } = await runSimulation(createSimulation, { lattice: type, seed, probability });
+            if (result.escaped) continue;
+            encircled++;
+            const wall = new Set();
+            for (let i = 0; i < result.loop.length; i += 2) {
+                const key = cellKey(result.loop[i], result.loop[i + 1]);
+                assert.strictEqual(board.get(key)?.white, false, `seed ${seed}: loop cell ${key} is not black`);
+                wall.add(key);
+            }
+            assert.ok(floodFrom(LATTICES[type], 0, 0, (q, r) => !wall.has(cellKey(q, r)), 100), `seed ${seed} leaks`);
+        }
+        assert.ok(encircled > 0, 'no run was encircled');
+    });
+}
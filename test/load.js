@@ -0,0 +1,91 @@
+// Loads the page's plain scripts into a fresh context, in order, the way index.html does,
+// and hands back the globals a test names. Run the tests with: node --test test/*.test.js
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// extra holds globals the page defines elsewhere (e.g. hex.js settings a script reads)
+function loadScripts(files, names, extra = {}) {
+    const context = vm.createContext({ console, performance, setTimeout, clearTimeout, atob, btoa, ...extra });
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    }
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+function cellKey(q, r) {
+    return `${q},${r}`;
+}
+
+// Runs one start message to its result, then syncs the board the worker revealed: a Map from
+// cellKey to { white, depth }. Resolves with { result, error, board, pockets } where pockets
+// is the pockets reply when withPockets asks for one
+function runSimulation(createSimulation, message, withPockets = false) {
+    return new Promise(resolve => {
+        const board = new Map();
+        let reply = null;
+        const simulation = createSimulation(m => {
+            if (m.type === 'result') {
+                reply = m;
+                if (m.error) {
+                    resolve({ result: null, error: m.error, board, pockets: null });
+                    return;
+                }
+                // The sync reply is posted from within the call, the pockets reply later
+                simulation.handleMessage({ type: 'sync' });
+                if (withPockets) simulation.handleMessage({ type: 'pockets' });
+                else resolve({ result: reply.result, error: null, board, pockets: null });
+            } else if (m.type === 'cells' && reply) {
+                board.clear();
+                for (let i = 0; i < m.cells.length; i += 4) {
+                    board.set(cellKey(m.cells[i], m.cells[i + 1]), { white: m.cells[i + 2] === 1, depth: m.cells[i + 3] });
+                }
+            } else if (m.type === 'pockets') {
+                resolve({ result: reply.result, error: null, board, pockets: m });
+            }
+        });
+        simulation.handleMessage({
+            type: 'start',
+            runId: 1,
+            mode: 'escape',
+            lattice: 'hex',
+            percolation: 'site',
+            seed: 1,
+            probability: 0.5,
+            escapeDistance: 40,
+            algorithm: 'bfs',
+            strategy: 'outermost',
+            comparator: '',
+            painted: [],
+            startQ: 0,
+            startR: 0,
+            speed: Infinity,
+            animate: false,
+            cells: [0, 0, 1, 0],
+            ...message
+        });
+    });
+}
+
+// Cells reachable from (q, r) through cells where pass holds, stopping once one lies further
+// than limit from the start. Returns the reached cells, or null if the fill got that far
+function floodFrom(lattice, q, r, pass, limit) {
+    const seen = new Set([cellKey(q, r)]);
+    const stack = [[q, r]];
+    while (stack.length > 0) {
+        const [cq, cr] = stack.pop();
+        if (lattice.distance(cq, cr, q, r) > limit) return null;
+        for (const [dq, dr] of lattice.neighbors(cq, cr)) {
+            const nq = cq + dq;
+            const nr = cr + dr;
+            const key = cellKey(nq, nr);
+            if (seen.has(key) || !pass(nq, nr)) continue;
+            seen.add(key);
+            stack.push([nq, nr]);
+        }
+    }
+    return seen;
+}
+
+module.exports = { loadScripts, cellKey, runSimulation, floodFrom };
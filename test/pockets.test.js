@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, cellKey, runSimulation, floodFrom } = require('./load.js');
+
+const { LATTICES, createSimulation } = loadScripts(['sim.js'], ['LATTICES', 'createSimulation']);
+
+// Every finite piece of untested space that meets no white hex, found by filling each piece
+// next to the board from scratch: a map from cellKey to the size of the cell's pocket
+function bruteForcePockets(lattice, board) {
+    let reach = 0;
+    for (const key of board.keys()) {
+        const [q, r] = key.split(',').map(Number);
+        reach = Math.max(reach, lattice.distance(q, r));
+    }
+    const untested = (q, r) => !board.has(cellKey(q, r));
+    const seen = new Set();
+    const pockets = new Map();
+    for (const key of board.keys()) {
+        const [q, r] = key.split(',').map(Number);
+        for (const [dq, dr] of lattice.neighbors(q, r)) {
+            const start = cellKey(q + dq, r + dr);
+            if (seen.has(start) || !untested(q + dq, r + dr)) continue;
+            // Fills measure distance from their start; reach + 1 from the origin is within
+            // twice that of it
+            const piece = floodFrom(lattice, q + dq, r + dr, untested, 2 * reach + 2);
+            if (piece === null) {
+                seen.add(start);
+                continue;
+            }
+            piece.forEach(cell => seen.add(cell));
+            const touchesWhite = [...piece].some(cell => {
+                const [cq, cr] = cell.split(',').map(Number);
+                return lattice.neighbors(cq, cr).some(([ndq, ndr]) => board.get(cellKey(cq + ndq, cr + ndr))?.white);
+            });
+            if (!touchesWhite) piece.forEach(cell => pockets.set(cell, piece.size));
+        }
+    }
+    return pockets;
+}
+
+for (const type of Object.keys(LATTICES)) {
+    test(`${type}: the encircled pockets are exactly the enclosed untested pieces meeting no white`, async () => {
+        const probability = type === 'square8' ? 0.35 : type === 'triangle' ? 0.6 : 0.45;
+        let found = 0;
+        for (let seed = 1; seed <= 8; seed++) {
+            const { board, pockets } = await runSimulation(createSimulation, { lattice: type, seed, probability }, true);
+            const expected = bruteForcePockets(LATTICES[type], board);
+            const actual = new Map();
+            let offset = 0;
+            for (const size of pockets.pocketSizes) {
+                for (let i = offset; i < offset + size * 2; i += 2) {
+                    actual.set(cellKey(pockets.pocketCells[i], pockets.pocketCells[i + 1]), size);
+                }
+                offset += size * 2;
+            }
+            assert.strictEqual(offset, pockets.pocketCells.length, `seed ${seed}: pocket sizes and cells disagree`);
+            assert.deepStrictEqual(actual, expected, `seed ${seed}`);
+            found += pockets.pocketSizes.length;
+        }
+        assert.ok(found > 0, 'no pockets to compare');
+    });
+}
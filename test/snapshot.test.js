@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, runSimulation } = require('./load.js');
+
+const { createSimulation, encodeSnapshot, decodeSnapshot } = loadScripts(['sim.js', 'snapshot.js'],
+    ['createSimulation', 'encodeSnapshot', 'decodeSnapshot']);
+
+function snapshotOf(fields) {
+    return {
+        mode: 'escape',
+        lattice: 'hex',
+        percolation: 'site',
+        algorithm: 'bfs',
+        strategy: 'outermost',
+        startHex: null,
+        seed: null,
+        probability: 0.5,
+        zoom: 1,
+        pan: { x: 0, y: 0 },
+        cells: new Int32Array(0),
+        bonds: [],
+        painted: [],
+        ...fields
+    };
+}
+
+// Compares plain values, as the decoded typed arrays come from the scripts' own context
+function roundTrip(snapshot) {
+    const decoded = decodeSnapshot(encodeSnapshot(snapshot));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify({ ...decoded, cells: Array.from(decoded.cells) })),
+        JSON.parse(JSON.stringify({ ...snapshot, cells: Array.from(snapshot.cells) })));
+}
+
+// The board a run revealed, as the page mirrors it: q, r, color, depth in reveal order
+async function revealedCells(message) {
+    const { board } = await runSimulation(createSimulation, message);
+    const cells = [];
+    for (const [key, { white, depth }] of board) {
+        const [q, r] = key.split(',').map(Number);
+        cells.push(q, r, white ? 1 : 0, depth);
+    }
+    return new Int32Array(cells);
+}
+
+test('a revealed board comes back from its snapshot with its depths', async () => {
+    const cells = await revealedCells({ seed: 3 });
+    assert.ok(cells.length > 4 * 10);
+    roundTrip(snapshotOf({ cells, seed: 3, startHex: { q: 0, r: 0 }, probability: 0.45, zoom: 2.5, pan: { x: -120.25, y: 33 } }));
+});
+
+test('every setting and extreme values survive the varint encoding', async () => {
+    const cells = new Int32Array([0, 0, 1, -1, 2147483647, -2147483648, 0, -1, -2147483648, 2147483647, 1, -1, 5, -7, 0, -1]);
+    roundTrip(snapshotOf({ cells, seed: 0xffffffff, startHex: { q: -2147483648, r: 2147483647 }, probability: 0.1 + 0.2 }));
+    roundTrip(snapshotOf({ mode: 'hexvshex', strategy: 'custom', cells: await revealedCells({ mode: 'hexvshex', seed: 5, cells: [0, 0, 1, -1, 1, 0, 0, -1] }) }));
+    roundTrip(snapshotOf({ lattice: 'triangle', algorithm: 'hull', painted: [3, -4, 1, -2147483648, 2147483647, 0], cells: await revealedCells({ lattice: 'triangle', algorithm: 'hull' }) }));
+    roundTrip(snapshotOf({
+        lattice: 'square8',
+        percolation: 'bond',
+        cells: new Int32Array([0, 0, 1, 0, 1, 1, 1, 1]),
+        bonds: [{ q: 0, r: 0, index: 7, open: true, cells: 1 }, { q: 1, r: 1, index: 0, open: false, cells: 2 }, { q: -3, r: 9, index: 3, open: true, cells: 2 }]
+    }));
+});
+
+test('malformed snapshots are rejected', () => {
+    const bytes = Buffer.from(encodeSnapshot(snapshotOf({ cells: new Int32Array([0, 0, 1, -1, 4, 4, 0, -1]), painted: [1, 1, 1] })), 'base64');
+    const text = buffer => buffer.toString('base64');
+
+    assert.throws(() => decodeSnapshot('not a snapshot!'), /not valid base64/);
+    assert.throws(() => decodeSnapshot(text(Buffer.from('XYZ5'))), /Not an Unprotected Hex/);
+    assert.throws(() => decodeSnapshot(text(bytes.subarray(0, bytes.length - 3))), /truncated/);
+
+    // A version 4 layout has no algorithm and strategy bytes, and no room for paint
+    const version4 = Buffer.concat([bytes.subarray(0, 6), bytes.subarray(8)]);
+    version4[3] = 4;
+    assert.throws(() => decodeSnapshot(text(version4)), /paint its version cannot hold/);
+
+    const hexVsHexOnSquares = Buffer.from(bytes);
+    hexVsHexOnSquares[4] |= 1;  // Hex vs Hex
+    hexVsHexOnSquares[5] = 1;   // square4
+    assert.throws(() => decodeSnapshot(text(hexVsHexOnSquares)), /off the hexagonal lattice/);
+});